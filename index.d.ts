@@ -0,0 +1,336 @@
+/**
+ * A class or constructor function whose instances are of type `T`.
+ */
+export type Constructor<T = {}> = new (...args: any[]) => T
+
+/**
+ * A class or constructor function, abstract or not, whose instances are of
+ * type `T`.
+ */
+export type AbstractConstructor<T = {}> = abstract new (...args: any[]) => T
+
+/**
+ * A function that returns an empty or non-empty subclass of its argument.
+ *
+ * Declare trait functions as generic in their superclass so that the types
+ * of the classes expressing them keep the superclass' members:
+ *
+ * @example
+ * const Nameable = Trait(<S extends Constructor>(s: S) => class extends s {
+ *   name?: string
+ * })
+ */
+export type TraitFunction = (superclass: any) => any
+
+/**
+ * The type of the members that the trait function `T`, or any trait of the
+ * family `T`, contributes to instances of the classes expressing it.
+ */
+export type TraitInstance<T extends TraitFunction> =
+  T extends { readonly [_family]: infer U extends TraitFunction }
+    ? TraitInstance<U>
+    // mixing the trait's constructor into a plain one combines all instance types in a single signature
+    : ReturnType<T> & (new () => {}) extends new () => infer I ? I : {}
+
+/**
+ * The type of a class expressing the trait `T` on top of the class `S`.
+ */
+export type Application<S, T extends TraitFunction> = S & ReturnType<T>
+
+/**
+ * The type of a class expressing each of the traits `Ts`, in order, on top
+ * of the class `S`.
+ */
+export type Applications<S, Ts extends readonly TraitFunction[]> =
+  Ts extends readonly [infer T extends TraitFunction, ...infer Rest extends readonly TraitFunction[]]
+    ? Applications<Application<S, T>, Rest>
+    : Ts extends readonly [] ? S : S & Constructor<TraitInstance<Ts[number]>>
+
+/**
+ * The intersection of the members that each of the trait functions `Ts`
+ * contributes.
+ */
+export type TraitInstances<Ts extends readonly TraitFunction[]> =
+  Ts extends readonly [infer T extends TraitFunction, ...infer Rest extends readonly TraitFunction[]]
+    ? TraitInstance<T> & TraitInstances<Rest>
+    : unknown
+
+/**
+ * A trait function as returned by {@link Trait} and {@link BareTrait}.
+ */
+export type ModifiableTrait<T extends TraitFunction> = T & {
+  /**
+   * Shorthand for {@link without}.
+   */
+  without<K extends keyof TraitInstance<T>> (...members: K[]): ModifiableTrait<Contributing<Omit<TraitInstance<T>, K>>>
+
+  /**
+   * Shorthand for {@link alias}.
+   */
+  alias<A extends string, M extends { [K in keyof TraitInstance<T>]?: A }> (aliases: M): ModifiableTrait<Contributing<TraitInstance<T> & Aliases<TraitInstance<T>, M>>>
+}
+
+/**
+ * A trait function contributing the members `I`.
+ */
+export type Contributing<I> = <S extends AbstractConstructor>(superclass: S) => S & Constructor<I>
+
+/**
+ * The members that `alias(trait, aliases)` adds to the members `I`.
+ */
+export type Aliases<I, M> = { [K in keyof M as M[K] extends string ? M[K] : never]: K extends keyof I ? I[K] : never }
+
+declare const _family: unique symbol
+
+/**
+ * A function returning the parameterizations of a trait, as returned by
+ * {@link Parameterized}.
+ */
+export interface TraitFamily<A extends any[], T extends TraitFunction> {
+  (...args: A): ModifiableTrait<T>
+  readonly name: string
+  readonly [_family]: T
+}
+
+/**
+ * Options that {@link apply} honors for traits defined with {@link Trait} or
+ * {@link BareTrait}.
+ */
+export interface TraitOptions {
+  /** The name of the trait, used to name its applications and in errors */
+  name?: string
+  /** Members that the superclass chain or the final class must provide */
+  requires?: {
+    methods?: string[]
+    accessors?: string[]
+    statics?: string[]
+  }
+  /** Traits that are applied before the trait unless already expressed */
+  supertraits?: TraitFunction[] | (() => TraitFunction[])
+  /** Whether to throw a {@link TraitConflictError} when supertraits clash */
+  detectConflicts?: boolean
+  /** Names of members that supertraits are allowed to provide more than once */
+  resolved?: Array<string | symbol>
+  /** Static members whose values are initialized per class */
+  staticState?: { [member: string]: () => any }
+  /** Whether to freeze each application of the trait and its prototype */
+  freeze?: boolean
+  /** Called once for each new application of the trait */
+  onApply?: (application: Function, superclass: Function) => void
+  /** Called on each instance right after the constructor of the trait's application, before those of its subclasses */
+  init?: (this: any, ...args: any[]) => void
+  /** Called by {@link initialize} with the instance as `this` and its other arguments */
+  initialize?: (this: any, ...args: any[]) => void
+  /** Called by {@link dispose} with the instance as `this` */
+  dispose?: (this: any) => void
+  /** Returns the initial private state of each instance */
+  state?: () => object
+  /** A stable identity, shared by copies and versions of the trait */
+  id?: string
+  /** The version of the trait, compared between traits with the same id */
+  version?: string
+  /** What {@link Dedupe} does when the superclass expresses a trait with the same id */
+  dedupe?: 'skip' | 'replace' | 'error'
+}
+
+export interface TraitBuilderOptions {
+  detectConflicts?: boolean
+  resolved?: Array<string | symbol>
+  linearize?: boolean
+  freeze?: boolean
+}
+
+export type TraitLayer =
+  | { trait: TraitFunction, application: Function }
+  | { class: Function }
+
+export type MemberProvider =
+  | { trait: TraitFunction, application: Function, kind: string }
+  | { class: Function, kind: string }
+  | { instance: object, kind: 'field' }
+
+export function apply<S extends AbstractConstructor, T extends TraitFunction> (superclass: S, trait: T): Application<S, T>
+export function apply<T extends TraitFunction> (superclass: null | undefined, trait: T): Application<Constructor, T>
+
+export function isTraitificationOf (proto: object, trait: TraitFunction): boolean
+
+export function expresses<T extends TraitFunction> (it: unknown, trait: T): it is TraitInstance<T>
+
+export function traitsOf (it: Function | object): TraitLayer[]
+
+export function whereIs (it: Function | object, member: string | symbol): MemberProvider[]
+
+export interface MemberDescription {
+  name: string
+  kind: 'method' | 'getter' | 'setter' | 'accessor' | 'property'
+  static: boolean
+  overrides: number | null
+  callsSuper: boolean
+}
+
+export interface LayerDescription {
+  name: string
+  trait?: string
+  id?: string
+  version?: string
+  interfaces?: string[]
+  members: MemberDescription[]
+}
+
+export interface CompositionDescription {
+  name: string
+  layers: LayerDescription[]
+}
+
+export function describe (it: Function | object): CompositionDescription
+
+export function toMermaid (it: Function | CompositionDescription): string
+
+export function toDot (it: Function | CompositionDescription): string
+
+export function Cached<T extends TraitFunction> (trait: T): T
+
+export function cachedApplication (trait: TraitFunction, superclass: Function): Function | undefined
+
+export function clearCache (trait?: TraitFunction, superclass?: Function): void
+
+export function wrap<W extends TraitFunction> (trait: TraitFunction, wrapper: W): W
+
+export function unwrap<T extends TraitFunction> (wrapper: T): TraitFunction
+
+export function Dedupe<T extends TraitFunction> (trait: T): T
+
+export function declareEquivalent<T extends TraitFunction> (trait: T, ...others: TraitFunction[]): T
+
+export function recognize<T extends TraitFunction> (trait: T, predicate: (it: object) => boolean): T
+
+export function isInstance<T extends TraitFunction> (it: unknown, trait: T): it is TraitInstance<T>
+
+export function HasInstance<T extends TraitFunction> (trait: T): T
+
+export function BareTrait<T extends TraitFunction> (trait: T, options?: TraitOptions): ModifiableTrait<T>
+
+export function without<T extends TraitFunction, K extends keyof TraitInstance<T>> (trait: T, ...members: K[]): ModifiableTrait<Contributing<Omit<TraitInstance<T>, K>>>
+
+export function alias<T extends TraitFunction, A extends string, M extends { [K in keyof TraitInstance<T>]?: A }> (trait: T, aliases: M): ModifiableTrait<Contributing<TraitInstance<T> & Aliases<TraitInstance<T>, M>>>
+
+export function Trait<T extends TraitFunction> (trait: T, options?: TraitOptions): ModifiableTrait<T>
+
+export function compose<Ts extends TraitFunction[]> (...traits: Ts): ModifiableTrait<Contributing<TraitInstances<Ts>>>
+export function compose<Ts extends TraitFunction[]> (...traitsAndOptions: [...Ts, { name?: string, resolved?: Array<string | symbol> }]): ModifiableTrait<Contributing<TraitInstances<Ts>>>
+
+export function override<Ts extends TraitFunction[]> (...traits: Ts): ModifiableTrait<Contributing<TraitInstances<Ts>>>
+export function override<Ts extends TraitFunction[]> (...traitsAndOptions: [...Ts, { name?: string }]): ModifiableTrait<Contributing<TraitInstances<Ts>>>
+
+export function Parameterized<A extends any[], T extends TraitFunction> (factory: (...args: A) => T, options?: TraitOptions): TraitFamily<A, T>
+
+/**
+ * Advice for a member, called with the instance as `this`.
+ */
+export interface MemberAdvice {
+  before? (this: any, ...args: any[]): any
+  around? (this: any, proceed: (...args: any[]) => any, ...args: any[]): any
+  after? (this: any, result: any, ...args: any[]): any
+  afterThrowing? (this: any, error: any, ...args: any[]): any
+  get?: MemberAdvice
+  set?: MemberAdvice
+}
+
+export function Advice (advice: { [member: string]: MemberAdvice }, options?: TraitOptions): ModifiableTrait<<S extends AbstractConstructor>(superclass: S) => S>
+
+export type InterfaceMember =
+  | 'method' | 'accessor' | 'static'
+  | { kind?: 'method' | 'accessor' | 'static', arity?: number }
+
+/**
+ * Returns an interface that classes expressing it declare they implement.
+ * Interfaces add no members, so classes expressing one declare its members
+ * themselves.
+ */
+export function Interface (members: { [member: string]: InterfaceMember }, options?: { name?: string }): <S extends AbstractConstructor>(superclass: S) => S
+
+export function implement<C extends Function> (clazz: C, ...interfaces: TraitFunction[]): C
+
+export function supertraitsOf (trait: TraitFunction): TraitFunction[]
+
+export function supertraitGraph (...traits: TraitFunction[]): Map<TraitFunction, TraitFunction[]>
+
+export function linearize (...traits: TraitFunction[]): TraitFunction[]
+
+export function superclass (): TraitBuilder<Constructor>
+export function superclass<S extends AbstractConstructor> (superclass: S, options?: TraitBuilderOptions): TraitBuilder<S>
+export function superclass (superclass: null | undefined, options?: TraitBuilderOptions): TraitBuilder<Constructor>
+
+export function traits<Ts extends TraitFunction[]> (...traits: Ts): Applications<Constructor, Ts>
+
+export function trait<Ts extends TraitFunction[]> (...traits: Ts): Applications<Constructor, Ts>
+
+export function verify<C extends Function> (clazz: C): C
+
+export function initialize<T extends object> (it: T, ...args: any[]): T
+
+export function dispose (it: object): void
+
+export function stateOf (it: object, trait: TraitFunction): any
+
+export function inspectState (it: object): Map<TraitFunction, any>
+
+export interface TraceEvent {
+  type: 'apply' | 'cacheHit' | 'cacheMiss' | 'dedupeSkip' | 'dedupeReplace' | 'step'
+  trait: TraitFunction
+  superclass: Function
+  result: Function
+  duration: number
+  reason?: string
+  expressed?: TraitFunction
+}
+
+export function setTracer (tracer: ((event: TraceEvent) => void) | null): ((event: TraceEvent) => void) | null
+
+export class TraitBuilder<S> {
+  superclass: S
+  options: TraitBuilderOptions
+  constructor (superclass?: S, options?: TraitBuilderOptions)
+  expressing<Ts extends TraitFunction[]> (...traits: Ts): Applications<S, Ts>
+}
+
+export class TraitConflictError extends Error {
+  member: string | symbol
+  traits: TraitFunction[]
+  constructor (member: string | symbol, traits: [TraitFunction, TraitFunction], kinds: [string, string])
+}
+
+export interface MissingMember {
+  trait: TraitFunction
+  member: string | symbol
+  kind: string
+  arity?: number
+}
+
+export class TraitRequirementError extends Error {
+  class: Function
+  missing: MissingMember[]
+  constructor (clazz: Function, missing: MissingMember[])
+}
+
+export class TraitCycleError extends Error {
+  cycle: TraitFunction[]
+  constructor (cycle: TraitFunction[])
+}
+
+export class TraitLinearizationError extends Error {
+  traits: TraitFunction[]
+  constructor (traits: TraitFunction[], trait?: TraitFunction)
+}
+
+export class TraitDefinitionError extends Error {
+  value: unknown
+  constructor (value: unknown, problem: string)
+}
+
+export class TraitApplicationError extends Error {
+  trait: TraitFunction
+  superclass: unknown
+  value: unknown
+  constructor (trait: TraitFunction, superclass: unknown, value: unknown, problem: string)
+}
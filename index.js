@@ -1,4 +1,115 @@
-const _appliedTrait = Symbol('_appliedTrait')
+/* global globalThis performance */
+
+// the version of the layout of the state shared by copies of mutrait
+const registryVersion = 1
+
+// copies of mutrait loaded in this realm, whatever their version
+const _copies = Symbol.for('mutrait.copies')
+
+// state shared by copies of mutrait with the same registryVersion
+const _registry = Symbol.for(`mutrait.registry.v${registryVersion}`)
+
+// globalThis is missing before Node 12
+const globalObject = typeof globalThis !== 'undefined' ? globalThis : global
+
+const copies = globalObject[_copies] || Object.defineProperty(globalObject, _copies, { value: [] })[_copies]
+
+const registry = globalObject[_registry] || Object.defineProperty(globalObject, _registry, { value: {} })[_registry]
+
+// returns the value shared under name by all copies, creating it first if needed
+const shared = (name, create) => registry[name] || (registry[name] = create())
+
+const warnOfCopies = () => {
+  const message = `mutrait was loaded ${copies.length} times: ${copies.map(it => `${it.version} from ${it.filename}`).join(', ')}; ` +
+    'traits work across copies, but you should deduplicate your dependencies'
+  if (typeof process !== 'undefined' && process.emitWarning) {
+    process.emitWarning(message, { code: 'MUTRAIT_DUPLICATE_COPIES' })
+  } else if (typeof console !== 'undefined') {
+    console.warn(message)
+  }
+}
+
+// this copy; index.mjs is generated from this file with the filename and format of the ES module entry point
+const copy = { version: require('./package.json').version, filename: __filename, format: 'commonjs' }
+
+// returns the path of the entry point of a copy without its extension, which both entry points of a copy share
+const entryOf = it => (/^file:/.test(it.filename) ? decodeURIComponent(new URL(it.filename).pathname) : it.filename)
+  .replace(/\\/g, '/')
+  .replace(/^\/(?=[A-Za-z]:)/, '')
+  .replace(/\.m?js$/, '')
+
+// the CommonJS and ES module entry points of one copy count as one copy
+if (!copies.some(it => it.format !== copy.format && entryOf(it) === entryOf(copy))) {
+  copies.push(copy)
+  if (copies.length > 1) warnOfCopies()
+}
+
+/**
+ * An event reported to the tracer set with {@link setTracer}.
+ *
+ * @typedef {Object} TraceEvent
+ * @property {string} type `'apply'` when {@link apply} created an
+ * application, `'cacheHit'` or `'cacheMiss'` when a trait decorated by
+ * {@link Cached} found or didn't find a cached application, `'dedupeSkip'`
+ * when a trait decorated by {@link Dedupe} was not applied because the
+ * superclass already expresses it or an equivalent, `'dedupeReplace'` when
+ * it was applied on top of an older version of it, or `'step'` for each trait
+ * that {@link TraitBuilder#expressing} applied
+ * @property {TraitFunction} trait The trait, or the wrapper of it that reports
+ * the event; use {@link unwrap} to compare traits
+ * @property {Function} superclass The class the trait was applied to
+ * @property {Function} result The class that resulted
+ * @property {number} duration The time it took in milliseconds
+ * @property {string} [reason] Why a trait decorated by {@link Dedupe} was
+ * skipped or applied anyway, for `'dedupeSkip'` and `'dedupeReplace'` events
+ * @property {TraitFunction} [expressed] The unwrapped trait that the
+ * superclass already expresses, for `'dedupeSkip'` and `'dedupeReplace'`
+ * events
+ */
+
+/**
+ * Sets the function that is called with a {@link TraceEvent} for each step of
+ * applying traits, which is useful to debug compositions or to assert how
+ * many classes were created.  Tracing is disabled by default and costs next
+ * to nothing while disabled.  The tracer is shared by all copies of mutrait.
+ *
+ * @example
+ * const events = []
+ * const previous = setTracer(event => events.push(event))
+ * class C extends traits(A, B) {}
+ * setTracer(previous)
+ * events.filter(it => it.type === 'apply').length // 2
+ *
+ * @function
+ * @param {function(TraceEvent)|null} tracer The tracer, or `null` to disable
+ * tracing
+ * @return {function(TraceEvent)|null} the previous tracer
+ */
+const setTracer = tracer => {
+  const previous = registry.tracer || null
+  registry.tracer = tracer || null
+  return previous
+}
+
+const now = () => typeof performance !== 'undefined' ? performance.now() : Date.now()
+
+// returns a timestamp for the tracer if tracing is enabled, or else a falsey value
+const traceStart = () => registry.tracer && now()
+
+// reports an event that started at start, as returned by traceStart(), to the tracer
+const trace = (type, trait, superclass, result, start, details) => registry.tracer && registry.tracer(Object.assign({
+  type,
+  trait,
+  superclass,
+  result,
+  duration: now() - start
+}, details))
+
+// works for objects that don't inherit from Object.prototype, too
+const hasOwn = (it, key) => Object.prototype.hasOwnProperty.call(it, key)
+
+// symbols are taken from the global registry so that they are the same in every copy of mutrait and every realm
+const _appliedTrait = Symbol.for('mutrait._appliedTrait')
 
 /**
  * A function that returns an empty or non-empty subclass of its argument.
@@ -15,12 +126,108 @@ const _appliedTrait = Symbol('_appliedTrait')
  * @return {Function} A subclass of `superclass`
  */
 
+// describes a value given to or returned by a trait in error messages
+const describeValue = it => {
+  if (typeof it === 'function') return `${isClass(it) ? 'class' : 'function'} ${it.name || '<anonymous>'}`
+  if (typeof it === 'string') return JSON.stringify(it)
+  if (Array.isArray(it)) return 'an array'
+  return it !== null && typeof it === 'object' ? 'an object' : String(it)
+}
+
+const isClass = it => {
+  try {
+    return /^class\b/.test(Function.prototype.toString.call(it))
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * Error thrown when something that is supposed to define a trait is not a
+ * valid definition, for example when {@link Trait} is given a class instead
+ * of a function returning a subclass of its argument.
+ *
+ * @property {*} value The offending value
+ */
+class TraitDefinitionError extends Error {
+  constructor (value, problem) {
+    super(`${problem}, but got ${describeValue(value)}`)
+    this.name = 'TraitDefinitionError'
+    this.value = value
+  }
+}
+
+/**
+ * Error thrown when a trait cannot be applied to a superclass, either because
+ * the superclass is not a class or because the trait doesn't return a
+ * subclass of it.
+ *
+ * @property {TraitFunction} trait The trait
+ * @property {*} superclass The superclass the trait was applied to
+ * @property {*} value The offending value, that is, the superclass or what
+ * the trait returned
+ */
+class TraitApplicationError extends Error {
+  constructor (trait, superclass, value, problem) {
+    super(`cannot apply trait ${nameOf(trait)} to ${describeValue(superclass)}: ${problem}`)
+    this.name = 'TraitApplicationError'
+    this.trait = trait
+    this.superclass = superclass
+    this.value = value
+  }
+}
+
+// throws a TraitDefinitionError unless trait is a function that is not a class
+const checkTrait = trait => {
+  if (typeof trait !== 'function' || isClass(trait)) {
+    throw new TraitDefinitionError(trait, 'a trait must be a function returning a subclass of its argument, like s => class extends s {}')
+  }
+  return trait
+}
+
+// throws a TraitApplicationError unless superclass is a class or null
+const checkSuperclass = (trait, superclass) => {
+  if (superclass !== null && typeof superclass !== 'function') {
+    throw new TraitApplicationError(trait, superclass, superclass, 'the superclass is not a class')
+  }
+  return superclass
+}
+
+// throws a TraitApplicationError unless result, which trait returned for superclass, is superclass or a subclass of it
+const checkApplication = (trait, superclass, result) => {
+  if (typeof result !== 'function' ||
+    (superclass && result !== superclass && !Object.prototype.isPrototypeOf.call(superclass.prototype, result.prototype))) {
+    throw new TraitApplicationError(trait, superclass, result, `the trait returned ${describeValue(result)}, which is not a subclass of the superclass`)
+  }
+  return result
+}
+
 /**
  * Applies `trait` to `superclass`.
  *
  * `apply` stores a reference from the trait application to the unwrapped trait
  * to make `isTraitificationOf` and `expresses` work.
  *
+ * If the trait was defined with {@link TraitOptions} that declare supertraits,
+ * `apply` first applies each supertrait that `superclass` doesn't already
+ * express.  If the options declare required members, `apply` then inserts a
+ * class between `superclass` and the application that calls {@link verify}
+ * when the first instance of a class is constructed.
+ *
+ * Unless the application already has a name of its own, `apply` names it
+ * after the trait and superclass, like `Nameable(Person)`, or just the trait
+ * if the superclass is anonymous or `null`, when the trait has a `name`
+ * option or is a named function.  Named applications also get a
+ * static `toString()` and a `Symbol.toStringTag` that return the name of the
+ * class they're called on.
+ *
+ * Finally, `apply` defines the static accessors declared by the
+ * `staticState` option on the application, sets up the `init` and `dispose`
+ * hooks, calls the `onApply` hook, and freezes the application and its
+ * prototype if the `freeze` option is set.  To run the `init` hook, the
+ * application is wrapped in a `Proxy` that calls it after the application's
+ * constructor returned.
+ *
  * This function is useful for trait wrappers that want to automatically enable
  * {@link expresses} support.
  *
@@ -38,16 +245,241 @@ const _appliedTrait = Symbol('_appliedTrait')
  * @param {Function} superclass A class or constructor function or a falsey value
  * @param {TraitFunction} trait The trait to apply
  * @return {Function} A subclass of `superclass` produced by `trait`
+ * @throws {TraitDefinitionError} if `trait` is not a function
+ * @throws {TraitApplicationError} if `superclass` is not a class or `trait`
+ * doesn't return a subclass of it
  */
 const apply = (superclass, trait) => {
-  let application = trait(superclass)
+  const application = applyUnfrozen(superclass, trait)
+  return optionsOf(trait).freeze && application !== superclass ? freeze(application) : application
+}
+
+// does everything apply() does except freezing the application, so that it can still be modified
+const applyUnfrozen = (superclass, trait) => {
+  const start = traceStart()
+  checkTrait(trait)
+  checkSuperclass(trait, superclass)
+  const options = optionsOf(trait)
+  if (options.supertraits) superclass = applySupertraits(superclass, trait)
+
+  const layer = options.requires ? requiring(superclass) : superclass
+  let application = checkApplication(trait, superclass, trait(layer))
+  // a trait that deduplicates itself may return the superclass as is
+  if (application === layer) return superclass
+
   application.prototype[_appliedTrait] = unwrap(trait)
+  nameApplication(application, trait, superclass)
+  if (options.staticState) defineStaticState(application, options.staticState)
+  if (options.dispose && Symbol.dispose) {
+    Object.defineProperty(application.prototype, Symbol.dispose, { value: disposeMethod, writable: true, configurable: true })
+  }
+  if (options.init) application = initializing(application, options.init)
+  if (options.onApply) options.onApply(application, superclass)
+  if (start) trace('apply', trait, superclass, application, start)
   return application
 }
 
+// returns a proxy of application that calls init on each instance constructed through it, with the constructor arguments
+const initializing = (application, init) => {
+  const proxy = new Proxy(application, {
+    construct (target, args, newTarget) {
+      const it = Reflect.construct(target, args, newTarget)
+      init.apply(it, args)
+      return it
+    }
+  })
+  Object.defineProperty(application.prototype, 'constructor', { value: proxy, writable: true, configurable: true })
+  return proxy
+}
+
+// instances that initialize() has been called on
+const initialized = shared('initialized', () => new WeakSet())
+
+/**
+ * Calls the `initialize` hooks of all traits that `it` expresses, from the
+ * least to the most derived one, with `it` as `this` and `args`.  Subsequent
+ * calls do nothing.
+ *
+ * Unlike `init` hooks, which run before the constructors of the classes
+ * extending their applications, `initialize` hooks run whenever `initialize`
+ * is called, so call it at the end of the constructor of the final class to
+ * run them once the instance is fully constructed.
+ *
+ * @example
+ * class Person extends traits(Nameable, Ticking) {
+ *   constructor (name) {
+ *     super()
+ *     this.name = name
+ *     initialize(this, name)
+ *   }
+ * }
+ *
+ * @function
+ * @param {Object} it An instance of a class expressing traits
+ * @param {...*} args The arguments to call the hooks with
+ * @return {Object} `it`
+ */
+const initialize = (it, ...args) => {
+  if (initialized.has(it)) return it
+  initialized.add(it)
+
+  traitsOf(it)
+    .map(layer => layer.trait && optionsOf(layer.trait).initialize)
+    .filter(hook => hook)
+    .reverse()
+    .forEach(hook => hook.apply(it, args))
+  return it
+}
+
+// the Symbol.dispose method of applications of traits with a dispose hook
+const disposeMethod = function () {
+  dispose(this)
+}
+
+// instances that dispose() has been called on
+const disposed = shared('disposed', () => new WeakSet())
+
+/**
+ * Calls the `dispose` hooks of all traits that `it` expresses, from the most
+ * to the least derived one, that is, in the reverse order of the `init`
+ * hooks.  Subsequent calls do nothing.
+ *
+ * Where `Symbol.dispose` is supported, applications of traits with a
+ * `dispose` hook have a `Symbol.dispose` method calling `dispose`, so that
+ * instances can be declared with `using`.
+ *
+ * @function
+ * @param {Object} it An instance of a class expressing traits
+ */
+const dispose = it => {
+  if (disposed.has(it)) return
+  disposed.add(it)
+
+  traitsOf(it)
+    .map(layer => layer.trait && optionsOf(layer.trait).dispose)
+    .filter(hook => hook)
+    .forEach(hook => hook.call(it))
+}
+
+// returns the unwrapped parameterization of family that it expresses, the most derived one if several, or family itself otherwise
+const parameterizationOf = (it, family) => {
+  for (let proto = Object.getPrototypeOf(it); proto; proto = Object.getPrototypeOf(proto)) {
+    if (hasOwn(proto, _appliedTrait) && families.get(proto[_appliedTrait]) === family) return proto[_appliedTrait]
+  }
+  return family
+}
+
+// unwrapped traits mapped to WeakMaps from instances to their private state
+const states = shared('states', () => new WeakMap())
+
+/**
+ * Returns the state of `it` that is private to `trait`, creating it on first
+ * access by calling the `state` option of `trait` with `it` as `this`, or as
+ * an empty object if there is no such option.
+ *
+ * Unlike fields, the state of one trait can't clash with the state of another
+ * trait, even if they use the same names, and it isn't visible to consumers
+ * of the instance, which only {@link inspectState} is meant for.
+ *
+ * Given a {@link Parameterized} family, `stateOf` returns the state of the
+ * parameterization that `it` expresses, the most derived one if several, so
+ * that the family and that parameterization share the same state.
+ *
+ * @example
+ * const Nameable = Trait(s => class extends s {
+ *   get firstName () { return stateOf(this, Nameable).firstName }
+ *   set firstName (it) { stateOf(this, Nameable).firstName = it }
+ * }, { state: () => ({ firstName: '' }) })
+ *
+ * @function
+ * @param {Object} it An instance of a class expressing `trait`
+ * @param {TraitFunction} trait The trait whose state to return
+ * @return {Object} The state
+ * @throws {Error} if `it` doesn't express `trait`
+ */
+const stateOf = (it, trait) => {
+  const unwrapped = parameterizationOf(it, unwrap(trait))
+
+  let instances = states.get(unwrapped)
+  if (!instances) states.set(unwrapped, instances = new WeakMap())
+
+  let state = instances.get(it)
+  if (!state) {
+    if (!expresses(it, unwrapped)) throw new Error(`object does not express trait ${nameOf(trait)}`)
+
+    const create = optionsOf(unwrapped).state
+    instances.set(it, state = create ? create.call(it) : {})
+  }
+  return state
+}
+
+/**
+ * Returns the private state that traits have created for `it` with
+ * {@link stateOf}, keyed by unwrapped trait, from the most to the least
+ * derived trait.  This is meant for debugging only.
+ *
+ * @function
+ * @param {Object} it Any object
+ * @return {Map<TraitFunction, Object>}
+ */
+const inspectState = it => new Map(traitsOf(it)
+  .filter(layer => layer.trait && states.has(layer.trait) && states.get(layer.trait).has(it))
+  .map(layer => [layer.trait, states.get(layer.trait).get(it)]))
+
+// freezes a class and its prototype
+const freeze = clazz => {
+  Object.freeze(clazz.prototype)
+  return Object.freeze(clazz)
+}
+
+// defines static accessors on application whose values are initialized separately for each class that inherits them
+const defineStaticState = (application, initializers) => Object.keys(initializers).forEach(member => {
+  const values = new WeakMap()
+
+  Object.defineProperty(application, member, {
+    get () {
+      if (!values.has(this)) values.set(this, initializers[member].call(this))
+      return values.get(this)
+    },
+    set (it) {
+      values.set(this, it)
+    },
+    configurable: true
+  })
+})
+
+// the static toString() of named applications
+const applicationToString = function () {
+  return this.name
+}
+
+// the Symbol.toStringTag getter of named application prototypes
+const applicationToStringTag = function () {
+  return this.constructor.name
+}
+
+// returns the name a class has of its own, since older engines let anonymous classes inherit the name of their superclass
+const ownNameOf = clazz => hasOwn(clazz, 'name') ? clazz.name : ''
+
+// names an application after its trait and superclass, like Nameable(Person), or after its trait alone if the superclass
+// is null or anonymous, unless the application already has a name of its own
+const nameApplication = (application, trait, superclass) => {
+  const options = optionsOf(trait)
+  const traitName = options.name || unwrap(trait).name
+  if (!traitName || (ownNameOf(application) && !options.name)) return
+
+  const superclassName = superclass && ownNameOf(superclass)
+  Object.defineProperty(application, 'name', { value: superclassName ? `${traitName}(${superclassName})` : traitName, configurable: true })
+  Object.defineProperty(application, 'toString', { value: applicationToString, writable: true, configurable: true })
+  Object.defineProperty(application.prototype, Symbol.toStringTag, { get: applicationToStringTag, configurable: true })
+}
+
 /**
  * Returns `true` iff `proto` is a prototype created by the application of
- * `trait` to a superclass.
+ * `trait` to a superclass.  If `trait` is a family of traits created by
+ * {@link Parameterized}, applications of any of its parameterizations count.
+ * If `trait` is an {@link Interface}, `proto` must be the prototype of a class
+ * declaring it.
  *
  * `isTraitificationOf` works by checking that `proto` has a reference to `trait`
  * as created by `apply`.
@@ -58,7 +490,13 @@ const apply = (superclass, trait) => {
  * @return {boolean} whether `proto` is a prototype created by the application of
  * `trait` to a superclass
  */
-const isTraitificationOf = (proto, trait) => proto.hasOwnProperty(_appliedTrait) && proto[_appliedTrait] === unwrap(trait)
+const isTraitificationOf = (proto, trait) => {
+  if (declaredInterfaces.has(proto) && declaredInterfaces.get(proto).has(unwrap(trait))) return true
+  if (!hasOwn(proto, _appliedTrait)) return false
+
+  const applied = proto[_appliedTrait]
+  return applied === unwrap(trait) || families.get(applied) === unwrap(trait)
+}
 
 /**
  * Returns `true` iff `o` has an application of `trait` on its prototype
@@ -78,8 +516,257 @@ const expresses = (it, trait) => {
   return false
 }
 
+// marks prototypes of classes that mutrait inserts into prototype chains for its own purposes
+const _internalLayer = Symbol.for('mutrait._internalLayer')
+
+// returns the prototypes on the chain of a class or instance, except internal ones and Object.prototype
+const prototypesOf = it => {
+  const protos = []
+  for (let proto = typeof it === 'function' ? it.prototype : Object.getPrototypeOf(it);
+    proto != null && proto !== Object.prototype;
+    proto = Object.getPrototypeOf(proto)) {
+    if (!hasOwn(proto, _internalLayer)) protos.push(proto)
+  }
+  return protos
+}
+
+/**
+ * Returns the layers of the prototype chain of a class or instance, from the
+ * most to the least derived, leaving out `Object`.
+ *
+ * Each entry is either `{ trait, application }` for a class created by
+ * {@link apply}, where `trait` is the unwrapped trait function, or
+ * `{ class }` for any other class.  The traits between two `class` entries
+ * are thus the ones the upper class expresses directly.
+ *
+ * @example
+ * class Super extends traits(A) {}
+ * class Sub extends superclass(Super).expressing(B, C) {}
+ *
+ * traitsOf(Sub).map(it => it.trait || it.class)
+ * // [Sub, unwrap(C), unwrap(B), Super, unwrap(A), <the class {} given to A>]
+ *
+ * @function
+ * @param {Function|Object} it A class or an instance
+ * @return {Array<{trait: TraitFunction, application: Function}|{class: Function}>}
+ */
+const traitsOf = it => prototypesOf(it).map(layerOf)
+
+const layerOf = proto => hasOwn(proto, _appliedTrait)
+  ? { trait: proto[_appliedTrait], application: proto.constructor }
+  : { class: proto.constructor }
+
+/**
+ * Returns the providers of the instance member `member` of a class or
+ * instance, from the most to the least derived.  The first provider is the one
+ * whose member is used, and each following one is what a `super` reference to
+ * the member in the previous one reaches.
+ *
+ * Each entry is shaped like an entry returned by {@link traitsOf}, plus a
+ * `kind` that is one of `'method'`, `'getter'`, `'setter'`, `'accessor'` (a
+ * getter and a setter) or `'property'` (any other value on a prototype).  If
+ * `it` is an instance with an own property named `member`, the first entry is
+ * `{ instance: it, kind: 'field' }`, because the constructor that initialized
+ * the field can't be determined.
+ *
+ * @example
+ * class C extends superclass(Super).expressing(Saving) {
+ *   save () { return super.save() }
+ * }
+ *
+ * whereIs(C, 'save').map(it => it.trait || it.class)
+ * // [C, unwrap(Saving), Super]
+ *
+ * @function
+ * @param {Function|Object} it A class or an instance
+ * @param {string|symbol} member The name of the member
+ * @return {Array<Object>} The providers of `member`, or an empty array
+ */
+const whereIs = (it, member) => {
+  const providers = typeof it !== 'function' && hasOwn(it, member)
+    ? [{ instance: it, kind: 'field' }]
+    : []
+
+  prototypesOf(it)
+    .filter(proto => hasOwn(proto, member))
+    .forEach(proto => providers.push(Object.assign(layerOf(proto), { kind: kindOf(Object.getOwnPropertyDescriptor(proto, member)) })))
+
+  return providers
+}
+
+// whether the functions of a descriptor of member appear to call the member of their superclass
+const callsSuper = (member, descriptor) => {
+  const pattern = typeof member === 'string'
+    ? new RegExp(`\\bsuper\\s*(\\.\\s*${member.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w$])|\\[)`)
+    : /\bsuper\s*\[/
+  return [descriptor.value, descriptor.get, descriptor.set]
+    .some(it => typeof it === 'function' && pattern.test(Function.prototype.toString.call(it)))
+}
+
+// maps the prototypes returned by prototypesOf(it) to the interfaces declared on them or on the internal layers right
+// below them, or above the first of them
+const interfacesByLayer = it => {
+  const interfaces = new Map()
+  let pending = []
+  let layer
+  for (let proto = typeof it === 'function' ? it.prototype : Object.getPrototypeOf(it);
+    proto != null && proto !== Object.prototype;
+    proto = Object.getPrototypeOf(proto)) {
+    const declared = [...(declaredInterfaces.get(proto) || [])]
+    if (!hasOwn(proto, _internalLayer)) {
+      interfaces.set(layer = proto, pending.concat(declared))
+      pending = []
+    } else if (layer) {
+      interfaces.get(layer).push(...declared)
+    } else {
+      pending.push(...declared)
+    }
+  }
+  return interfaces
+}
+
+const classNameOf = clazz => clazz.name || '<anonymous class>'
+
+/**
+ * Returns a serializable description of the composition of a class, or of
+ * the class of an instance, for reviews, diagrams and snapshot tests.
+ *
+ * The description has the `name` of the class and its `layers`, from the
+ * most to the least derived, like {@link traitsOf} returns them.  Each layer
+ * has the `name` of its class, the name of its `trait` if it is the
+ * application of a trait, along with the trait's `id` & `version` if it has
+ * them, the names of the `interfaces` declared on it if any, and its
+ * `members`.  Each member has a `name`, a `kind` as returned by
+ * {@link whereIs}, whether it is `static`, the index in `layers` of the
+ * layer whose member it `overrides` or `null`, and whether it `callsSuper`,
+ * that is, whether its source code refers to the member of the same name of
+ * its superclass.
+ *
+ * Render descriptions with {@link toMermaid} and {@link toDot}.
+ *
+ * @example
+ * class Person extends superclass(Entity).expressing(Nameable) {
+ *   save () { return super.save() }
+ * }
+ *
+ * describe(Person)
+ * // { name: 'Person', layers: [
+ * //   { name: 'Person', members: [{ name: 'save', kind: 'method', static: false, overrides: 2, callsSuper: true }] },
+ * //   { name: 'Nameable(Entity)', trait: 'Nameable', members: [...] },
+ * //   { name: 'Entity', members: [...] }
+ * // ] }
+ *
+ * @function
+ * @param {Function|Object} it A class or an instance
+ * @return {Object} The description
+ */
+const describe = it => {
+  const protos = prototypesOf(it)
+  const interfaces = interfacesByLayer(it)
+
+  // returns the index of the layer after the ith one that has its own member key, or null
+  const overridden = (i, key, isStatic) => {
+    const j = protos.slice(i + 1).findIndex(proto => hasOwn(isStatic ? proto.constructor : proto, key))
+    return j === -1 ? null : i + 1 + j
+  }
+  const membersOf = (i, object, isInternal, isStatic) => Reflect.ownKeys(object)
+    .map(key => [key, Object.getOwnPropertyDescriptor(object, key)])
+    .filter(([key, descriptor]) => !isInternal(key, descriptor))
+    .map(([key, descriptor]) => ({
+      name: String(key),
+      kind: kindOf(descriptor),
+      static: isStatic,
+      overrides: overridden(i, key, isStatic),
+      callsSuper: callsSuper(key, descriptor)
+    }))
+
+  const layers = protos.map((proto, i) => {
+    const layer = { name: classNameOf(proto.constructor) }
+    if (hasOwn(proto, _appliedTrait)) {
+      const { id, version } = optionsOf(proto[_appliedTrait])
+      layer.trait = nameOf(proto[_appliedTrait])
+      if (id != null) layer.id = id
+      if (version != null) layer.version = version
+    }
+    if (interfaces.get(proto).length) layer.interfaces = interfaces.get(proto).map(nameOf)
+
+    layer.members = membersOf(i, proto, isInstanceInternal, false).concat(membersOf(i, proto.constructor, isStaticInternal, true))
+    return layer
+  })
+
+  return { name: classNameOf(typeof it === 'function' ? it : it.constructor), layers }
+}
+
+// returns the description of it, unless it already is one
+const descriptionOf = it => typeof it === 'function' || !Array.isArray(it.layers) ? describe(it) : it
+
+const memberLabel = member => `${member.static ? 'static ' : ''}${member.name}${member.kind === 'method' ? '()' : ''}`
+
+const overrideLabel = member => `overrides ${memberLabel(member)}${member.callsSuper ? ', calls super' : ''}`
+
+/**
+ * Renders the composition of a class as a Mermaid class diagram, with an
+ * inheritance arrow between each layer and its superclass, and a dotted
+ * arrow for each member that overrides one of a layer further up.
+ *
+ * @function
+ * @param {Function|Object} it A class, or a description of one returned by
+ * {@link describe}
+ * @return {string} The Mermaid source
+ */
+const toMermaid = it => {
+  const { layers } = descriptionOf(it)
+  const escape = text => text.replace(/"/g, '#quot;')
+  const lines = ['classDiagram']
+
+  layers.forEach((layer, i) => {
+    lines.push(`  class L${i}["${escape(layer.name)}"]`)
+    if (layer.trait) lines.push(`  <<trait ${escape(layer.trait)}>> L${i}`)
+    layer.members.forEach(member => lines.push(`  L${i} : +${escape(member.name)}${member.kind === 'method' ? '()' : ''}${member.static ? '$' : ''}`))
+  })
+  layers.forEach((layer, i) => {
+    if (i + 1 < layers.length) lines.push(`  L${i + 1} <|-- L${i}`)
+    layer.members
+      .filter(member => member.overrides !== null)
+      .forEach(member => lines.push(`  L${i} ..> L${member.overrides} : ${escape(overrideLabel(member))}`))
+  })
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Renders the composition of a class as a Graphviz DOT digraph, with an
+ * inheritance edge between each layer and its superclass, and a dashed edge
+ * for each member that overrides one of a layer further up.
+ *
+ * @function
+ * @param {Function|Object} it A class, or a description of one returned by
+ * {@link describe}
+ * @return {string} The DOT source
+ */
+const toDot = it => {
+  const { name, layers } = descriptionOf(it)
+  const quote = text => `"${text.replace(/["\\]/g, '\\$&')}"`
+  const escape = text => text.replace(/[{}|<>"\\]/g, '\\$&')
+  const lines = [`digraph ${quote(name)} {`, '  rankdir=BT', '  node [shape=record]']
+
+  layers.forEach((layer, i) => {
+    const title = layer.trait ? `«trait ${escape(layer.trait)}»\\n${escape(layer.name)}` : escape(layer.name)
+    lines.push(`  L${i} [label="{${title}|${layer.members.map(member => `${escape(memberLabel(member))}\\l`).join('')}}"]`)
+  })
+  layers.forEach((layer, i) => {
+    if (i + 1 < layers.length) lines.push(`  L${i} -> L${i + 1} [arrowhead=empty]`)
+    layer.members
+      .filter(member => member.overrides !== null)
+      .forEach(member => lines.push(`  L${i} -> L${member.overrides} [style=dashed, label=${quote(overrideLabel(member))}]`))
+  })
+  lines.push('}')
+
+  return lines.join('\n') + '\n'
+}
+
 // used by wrap() and unwrap()
-const _wrappedTrait = Symbol('_wrappedTrait')
+const _wrappedTrait = Symbol.for('mutrait._wrappedTrait')
 
 /**
  * Sets up the function `trait` to be wrapped by the function `wrapper`, while
@@ -116,93 +803,1239 @@ const wrap = (trait, wrapper) => {
  */
 const unwrap = wrapper => wrapper[_wrappedTrait] || wrapper
 
-const _cachedApplications = Symbol('_cachedApplications')
+// used by BareTrait() and optionsOf()
+const _traitOptions = Symbol.for('mutrait._traitOptions')
+
+/**
+ * Options that can be given to {@link Trait} and {@link BareTrait}.
+ *
+ * @typedef {Object} TraitOptions
+ * @property {string} [name] The name of the trait, used to name its
+ * applications and in error messages; defaults to the name of the trait
+ * function
+ * @property {Object} [requires] Members that the superclass chain or the final
+ * subclass must provide; see {@link verify}
+ * @property {string[]} [requires.methods] Names of required instance methods
+ * @property {string[]} [requires.accessors] Names of required instance getters
+ * or setters
+ * @property {string[]} [requires.statics] Names of required static members
+ * @property {TraitFunction[]|function(): TraitFunction[]} [supertraits] Traits
+ * that are applied, in order, before the trait itself, unless the superclass
+ * already expresses them; pass a function returning the array to refer to
+ * traits that are defined later
+ * @property {boolean} [detectConflicts=false] Whether to throw a
+ * {@link TraitConflictError} when two supertraits provide the same member,
+ * like {@link TraitBuilder#expressing} does
+ * @property {Array<string|symbol>} [resolved] Names of members that are
+ * allowed to be provided by more than one supertrait
+ * @property {Object<string, function(): *>} [staticState] Static members whose
+ * state is not shared: each class expressing the trait, including each of
+ * their subclasses, gets its own value of each member, initialized lazily by
+ * calling the given function with the class as `this`
+ * @property {boolean} [freeze=false] Whether to freeze each application of the
+ * trait and its prototype, so that they can't be tampered with; subclasses
+ * can still extend frozen applications, but can't assign instance or static
+ * properties named like members of the application
+ * @property {function(Function, Function)} [onApply] Called once for each
+ * application of the trait with the application and the superclass the trait
+ * was applied to, before the application is frozen
+ * @property {function(...*)} [init] Called on each instance right after the
+ * constructor of the trait's application returned, with the instance as
+ * `this` and the constructor arguments; the hooks of several traits are thus
+ * called in trait order, but before the constructors of the classes
+ * extending the applications, so they don't see the fields those set
+ * @property {function(...*)} [initialize] Called by {@link initialize} with
+ * the instance as `this` and the arguments given to it, meant to be called at
+ * the end of the constructor of the final class
+ * @property {function()} [dispose] Called by {@link dispose} with the instance
+ * as `this`
+ * @property {function(): Object} [state] Returns the initial private state of
+ * an instance, called by {@link stateOf} with the instance as `this`
+ * @property {string} [id] A stable identity of the trait: {@link Dedupe} and
+ * {@link isInstance} consider traits with the same id to be the same trait,
+ * even if they are different functions, like two copies of a trait from
+ * different versions of a package
+ * @property {string} [version] The version of the trait, like `'1.2.0'`,
+ * compared by {@link Dedupe} with the version of a trait with the same id
+ * @property {string} [dedupe='skip'] What {@link Dedupe} does when the
+ * superclass already expresses a trait with the same id: `'skip'` the trait,
+ * `'replace'` the expressed trait by applying the trait on top of it if the
+ * trait has a newer version, or throw an `'error'` if the versions differ
+ */
+
+/**
+ * Returns the {@link TraitOptions} that the wrapped `trait` was defined with.
+ *
+ * @param {TraitFunction} trait A trait function, wrapped or not
+ * @return {TraitOptions}
+ */
+const optionsOf = trait => unwrap(trait)[_traitOptions] || {}
+
+// unwrapped traits mapped to WeakMaps from superclasses to cached applications
+shared('cachedApplications', () => new WeakMap())
 
 /**
  * Decorates `trait` so that it caches its applications. When applied multiple
  * times to the same superclass, `trait` will only create one subclass, memoize
  * it and return it for each application.
  *
+ * The cache is kept in `WeakMap`s keyed by the unwrapped trait and the
+ * superclass, so neither the superclass nor the trait is modified, frozen
+ * superclasses work, and applications can be garbage collected along with
+ * their superclass.  Use {@link cachedApplication} and {@link clearCache} to
+ * inspect and clear it.  Applications to `null` are not cached.
+ *
  * Note: If `trait` somehow stores properties in its class's constructor (static
  * properties), or on its class's prototype, it will be shared across all
  * applications of `trait` to a superclass. It's recommended that `trait` only
- * access instance state.
+ * access instance state, or declare static state with the `staticState` option
+ * of {@link Trait}.
  *
  * @function
  * @param {TraitFunction} trait The trait to wrap expressing caching behavior
  * @return {TraitFunction} a new trait function
  */
 const Cached = trait => wrap(trait, superclass => {
-  // Get or create a symbol used to look up a previous application of trait
-  // to the class. This symbol is unique per trait definition, so a class will have N
-  // applicationRefs if it has had N traits applied to it. A trait will have
-  // exactly one _cachedApplicationRef used to store its applications.
+  // applications to null can't be keyed by their superclass
+  if (superclass === null) return trait(superclass)
+
+  const start = traceStart()
+  const unwrapped = unwrap(trait)
 
-  let cachedApplications = superclass[_cachedApplications]
-  if (!cachedApplications) {
-    cachedApplications = superclass[_cachedApplications] = new Map()
+  let applications = registry.cachedApplications.get(unwrapped)
+  if (!applications) {
+    registry.cachedApplications.set(unwrapped, applications = new WeakMap())
   }
 
-  let application = cachedApplications.get(trait)
+  let application = applications.get(superclass)
   if (!application) {
     application = trait(superclass)
-    cachedApplications.set(trait, application)
+    applications.set(superclass, application)
+    if (start) trace('cacheMiss', trait, superclass, application, start)
+  } else if (start) {
+    trace('cacheHit', trait, superclass, application, start)
   }
 
   return application
 })
 
 /**
- * Decorates `trait` so that it only applies if it's not already on the
- * prototype chain.
+ * Returns the application of `trait` to `superclass` cached by {@link Cached},
+ * or `undefined` if there is none.
  *
  * @function
- * @param {TraitFunction} trait The trait to wrap expressing deduplication behavior
- * @return {TraitFunction} a new trait function
+ * @param {TraitFunction} trait A trait function, wrapped or not
+ * @param {Function} superclass The superclass the trait was applied to
+ * @return {Function|undefined} The cached application
  */
-const Dedupe = trait => wrap(trait, superclass => expresses(superclass.prototype, trait) ? superclass : trait(superclass))
+const cachedApplication = (trait, superclass) => {
+  const applications = registry.cachedApplications.get(unwrap(trait))
+  return applications && applications.get(superclass)
+}
 
 /**
- * Adds [Symbol.hasInstance] (ES2015 custom instanceof support) to `trait`.
- * If the trait already has a [Symbol.hasInstance] property, then that is called firstName.
- * If it return a truey value, then that truey value is returned, else the return value of {@link expresses} is returned.
+ * Clears applications cached by {@link Cached}: all of them if no `trait` is
+ * given, all applications of `trait` if no `superclass` is given, or else the
+ * application of `trait` to `superclass`.  Subsequent applications create new
+ * classes.
  *
  * @function
- * @param {TraitFunction} trait The trait to add [Symbol.hasInstance] to
- * @return {TraitFunction} the given trait function
+ * @param {TraitFunction} [trait] A trait function, wrapped or not
+ * @param {Function} [superclass] A superclass `trait` was applied to
  */
-const HasInstance = trait => {
-  if (Symbol && Symbol.hasInstance) {
-    const priorHasInstance = trait[Symbol.hasInstance]
-    Object.defineProperty(trait, Symbol.hasInstance, {
-      value (it) {
-        return priorHasInstance(it) || expresses(it, trait)
-      }
-    })
+const clearCache = (trait, superclass) => {
+  if (!trait) {
+    registry.cachedApplications = new WeakMap()
+  } else if (!superclass) {
+    registry.cachedApplications.delete(unwrap(trait))
+  } else if (registry.cachedApplications.has(unwrap(trait))) {
+    registry.cachedApplications.get(unwrap(trait)).delete(superclass)
   }
-  return trait
+}
+
+// returns the unwrapped trait of the first application on the prototype chain of it that has the given id
+const expressedWithId = (it, id) => {
+  const layer = prototypesOf(it).find(proto => hasOwn(proto, _appliedTrait) && optionsOf(proto[_appliedTrait]).id === id)
+  return layer && layer[_appliedTrait]
+}
+
+// returns the unwrapped trait that superclass expresses in place of trait: trait itself, an equivalent or one with the same id
+const expressedCounterpart = (superclass, trait) => {
+  if (expresses(superclass.prototype, trait)) return unwrap(trait)
+
+  const equivalent = [...(equivalents.get(unwrap(trait)) || [])].find(it => expresses(superclass.prototype, it))
+  if (equivalent) return equivalent
+
+  return optionsOf(trait).id != null ? expressedWithId(superclass, optionsOf(trait).id) : undefined
+}
+
+// compares two identifiers of dot-separated versions, numerically if both are numbers, and numbers lower than other identifiers
+const compareIdentifiers = (x, y) => {
+  const isNumber = it => /^\d+$/.test(it)
+  if (isNumber(x) && isNumber(y)) return Number(x) - Number(y)
+  if (isNumber(x) !== isNumber(y)) return isNumber(x) ? -1 : 1
+  return x < y ? -1 : x > y ? 1 : 0
+}
+
+// compares versions like 1.10.0 and 1.9.2 by semver precedence, so that 1.0.0-beta.1 is older than 1.0.0; missing versions
+// are equal to any
+const compareVersions = (a, b) => {
+  if (a == null || b == null) return 0
+
+  const [ar, ap] = String(a).split('+')[0].split(/-(.*)/)
+  const [br, bp] = String(b).split('+')[0].split(/-(.*)/)
+  const as = ar.split('.')
+  const bs = br.split('.')
+  for (let i = 0; i < Math.max(as.length, bs.length); i++) {
+    const comparison = compareIdentifiers(as[i] || '0', bs[i] || '0')
+    if (comparison) return comparison
+  }
+
+  // a version with a pre-release tag is older than the release
+  if (!ap || !bp) return ap ? -1 : bp ? 1 : 0
+  const ai = ap.split('.')
+  const bi = bp.split('.')
+  for (let i = 0; i < Math.min(ai.length, bi.length); i++) {
+    const comparison = compareIdentifiers(ai[i], bi[i])
+    if (comparison) return comparison
+  }
+  return ai.length - bi.length
+}
+
+const describeTrait = trait => {
+  const { id, version } = optionsOf(trait)
+  return `trait ${nameOf(trait)}${version != null ? ` version ${version}` : ''}${id != null ? ` with id ${id}` : ''}`
 }
 
 /**
- * A basic trait decorator that applies the trait expressing {@link apply} so that it
- * can be used expressing {@link isTraitificationOf}, {@link expresses} and the other
- * trait decorator functions.
+ * Decorates `trait` so that it only applies if it's not already on the
+ * prototype chain.
+ *
+ * The trait is also considered to be on the prototype chain if a trait
+ * declared equivalent with {@link declareEquivalent} is, or a trait with the
+ * same `id` option.  In the latter case, the `dedupe` option of `trait`
+ * decides what happens if the versions of the traits differ: by default, the
+ * trait is skipped, with the `'replace'` policy, the trait is applied anyway
+ * if its version is newer, and with the `'error'` policy, a
+ * {@link TraitApplicationError} is thrown.  Note that replacing a trait
+ * doesn't remove the older version from the prototype chain: the newer
+ * version is applied on top of it and overrides its members.
+ *
+ * Set a tracer with {@link setTracer} to learn which applications were
+ * skipped and why.
  *
  * @function
- * @param {TraitFunction} trait The trait to wrap
+ * @param {TraitFunction} trait The trait to wrap expressing deduplication behavior
  * @return {TraitFunction} a new trait function
+ * @throws {TraitApplicationError} if the superclass expresses a different
+ * version of a trait with the same id and the `dedupe` option is `'error'`
  */
-const BareTrait = trait => wrap(trait, superclass => apply(superclass, trait))
+const Dedupe = trait => wrap(trait, superclass => {
+  const start = traceStart()
+  const expressed = superclass && expressedCounterpart(superclass, trait)
+  if (!expressed) return trait(superclass)
 
-/**
- * Decorates a trait function to add deduplication, application caching and
- * instanceof support.
+  const options = optionsOf(trait)
+  const comparison = compareVersions(options.version, optionsOf(expressed).version)
+  if (comparison !== 0 && options.dedupe === 'error') {
+    throw new TraitApplicationError(trait, superclass, expressed, `${describeTrait(trait)} clashes with ${describeTrait(expressed)}, which the superclass already expresses`)
+  }
+  if (comparison > 0 && options.dedupe === 'replace') {
+    const result = trait(superclass)
+    if (start) trace('dedupeReplace', trait, superclass, result, start, { expressed, reason: `${describeTrait(trait)} replaces the older ${describeTrait(expressed)}, which the superclass already expresses` })
+    return result
+  }
+
+  if (start) {
+    trace('dedupeSkip', trait, superclass, superclass, start, {
+      expressed,
+      reason: expressed === unwrap(trait)
+        ? 'the superclass already expresses the trait'
+        : `the superclass already expresses ${equivalents.has(unwrap(trait)) && equivalents.get(unwrap(trait)).has(expressed) ? 'the equivalent ' : ''}${describeTrait(expressed)}`
+    })
+  }
+  return superclass
+})
+
+// unwrapped traits mapped to the set of unwrapped traits they were declared equivalent to, including themselves
+const equivalents = shared('equivalents', () => new WeakMap())
+
+// unwrapped traits mapped to the predicates registered with recognize()
+const recognizers = shared('recognizers', () => new WeakMap())
+
+/**
+ * Declares `trait` and `others` to be equivalent, so that {@link isInstance}
+ * and `instanceof` consider an object expressing any of them an instance of
+ * all of them.  Equivalence is symmetric and transitive.
+ *
+ * This is useful when the same trait exists in different versions or under
+ * different names.
+ *
+ * @function
+ * @param {TraitFunction} trait A trait
+ * @param {...TraitFunction} others Traits equivalent to `trait`
+ * @return {TraitFunction} `trait`
+ */
+const declareEquivalent = (trait, ...others) => {
+  const all = new Set()
+  const traits = [trait].concat(others).map(unwrap)
+  traits.forEach(it => (equivalents.get(it) || [it]).forEach(t => all.add(t)))
+  all.forEach(it => equivalents.set(it, all))
+  return trait
+}
+
+/**
+ * Registers a predicate that decides whether an object is an instance of
+ * `trait` even though it doesn't express it, for example because it was
+ * created with a legacy mixin that was not applied with {@link apply}.
+ *
+ * @example
+ * recognize(Serializable, it => typeof it.serialize === 'function')
+ *
+ * ({ serialize () {} }) instanceof Serializable // true
+ *
+ * @function
+ * @param {TraitFunction} trait A trait
+ * @param {function(Object): boolean} predicate Returns whether the given object
+ * is an instance of `trait`
+ * @return {TraitFunction} `trait`
+ */
+const recognize = (trait, predicate) => {
+  const unwrapped = unwrap(trait)
+  recognizers.set(unwrapped, (recognizers.get(unwrapped) || []).concat(predicate))
+  return trait
+}
+
+/**
+ * Returns `true` iff `it` expresses `trait`, a trait declared equivalent
+ * with {@link declareEquivalent} or a trait with the same `id` option, or if a
+ * predicate registered for `trait` or its equivalents with {@link recognize}
+ * returns a truthy value.
+ *
+ * @function
+ * @param {*} it Any value
+ * @param {TraitFunction} trait A trait
+ * @return {boolean}
+ */
+const isInstance = (it, trait) => {
+  if (it == null) return false
+
+  const traits = equivalents.get(unwrap(trait)) || [unwrap(trait)]
+  for (const t of traits) {
+    if (expresses(it, t) || (recognizers.get(t) || []).some(recognizes => recognizes(it))) return true
+  }
+  const { id } = optionsOf(trait)
+  return id != null && typeof it === 'object' && !!expressedWithId(it, id)
+}
+
+/**
+ * Adds [Symbol.hasInstance] (ES2015 custom instanceof support) to `trait`.
+ * If the trait already has a [Symbol.hasInstance] property, then that is called first.
+ * If it return a truey value, then that truey value is returned, else the return value of {@link isInstance} is returned.
+ *
+ * The implementation that was in place before is called with the trait
+ * function that `instanceof` was used with as `this`, unless it is the
+ * default one of `Function.prototype` and the trait function has no
+ * `prototype` object, like arrow functions.  Because the implementation looks
+ * at `this`, it also works for wrappers of `trait`, and `HasInstance` can be
+ * applied more than once.
+ *
+ * @function
+ * @param {TraitFunction} trait The trait to add [Symbol.hasInstance] to
+ * @return {TraitFunction} the given trait function
+ */
+const HasInstance = trait => {
+  if (Symbol && Symbol.hasInstance) {
+    const priorHasInstance = trait[Symbol.hasInstance]
+    const defaultHasInstance = Function.prototype[Symbol.hasInstance]
+    Object.defineProperty(trait, Symbol.hasInstance, {
+      value (it) {
+        const callsPrior = priorHasInstance && (priorHasInstance !== defaultHasInstance || Object(this.prototype) === this.prototype)
+        return (callsPrior && priorHasInstance.call(this, it)) || isInstance(it, this)
+      },
+      configurable: true
+    })
+  }
+  return trait
+}
+
+/**
+ * A basic trait decorator that applies the trait expressing {@link apply} so that it
+ * can be used expressing {@link isTraitificationOf}, {@link expresses} and the other
+ * trait decorator functions.
+ *
+ * The returned trait function also has `without` and `alias` methods, which
+ * are shorthands for {@link without} and {@link alias}.
  *
  * @function
  * @param {TraitFunction} trait The trait to wrap
+ * @param {TraitOptions} [options] Options that {@link apply} honors
+ * @return {TraitFunction} a new trait function
+ * @throws {TraitDefinitionError} if `trait` is not a function, or a class, or
+ * `options` is not an object, or `trait` was already given different options
+ */
+const BareTrait = (trait, options) => {
+  checkTrait(trait)
+  if (options != null && typeof options !== 'object') throw new TraitDefinitionError(options, 'trait options must be an object')
+  if (options && hasOwn(trait, _traitOptions) && !structurallyEqual(trait[_traitOptions], options)) {
+    throw new TraitDefinitionError(trait, 'the function already defines a trait with different options; define each trait with a function of its own')
+  }
+  if (options) trait[_traitOptions] = options
+  return Object.defineProperties(wrap(trait, superclass => apply(superclass, trait)), {
+    without: {
+      value (...members) {
+        return without(this, ...members)
+      }
+    },
+    alias: {
+      value (aliases) {
+        return alias(this, aliases)
+      }
+    }
+  })
+}
+
+// used by without() and alias()
+const _modifications = Symbol.for('mutrait._modifications')
+
+/**
+ * Returns a trait function that applies the original trait wrapped by
+ * `trait`, then adds `modifications.aliases` and removes
+ * `modifications.excluded` from the resulting application.  Modifications of
+ * an already modified trait are accumulated, and aliases are always copies of
+ * the original members, so that `alias` and `without` can be chained in any
+ * order.
+ *
+ * The original trait is called directly instead of through its wrappers so
+ * that the application it returns is never a cached one shared with other
+ * classes.  The modified trait is decorated by {@link Dedupe} instead, so that
+ * it isn't applied to a superclass that already expresses the original trait.
+ */
+const modify = (trait, { excluded = [], aliases = {} }) => {
+  const previous = trait[_modifications] || { trait, excluded: [], aliases: {} }
+  const modifications = {
+    trait: previous.trait,
+    excluded: previous.excluded.concat(excluded),
+    aliases: Object.assign({}, previous.aliases, aliases)
+  }
+
+  const modified = Dedupe(wrap(modifications.trait, superclass => {
+    const application = applyUnfrozen(superclass, unwrap(modifications.trait))
+    // instance members are found on the prototype, static members on the application itself
+    const ownerOf = member => [application.prototype, application].find(it => hasOwn(it, member) &&
+      !(it === application && isStaticInternal(member, Object.getOwnPropertyDescriptor(it, member))))
+
+    Object.keys(modifications.aliases).forEach(member => {
+      const name = modifications.aliases[member]
+      const owner = ownerOf(member)
+      if (!owner) {
+        throw new TraitApplicationError(trait, superclass, member, `cannot alias member ${member}: the trait has no such member`)
+      }
+      if (hasOwn(owner, name)) {
+        throw new TraitApplicationError(trait, superclass, name, `cannot alias member ${member} as ${name}: the trait already has a member named ${name}`)
+      }
+      Object.defineProperty(owner, name, Object.getOwnPropertyDescriptor(owner, member))
+    })
+
+    modifications.excluded.forEach(member => {
+      const owner = ownerOf(member)
+      if (!owner) {
+        throw new TraitApplicationError(trait, superclass, member, `cannot exclude member ${String(member)}: the trait has no such member`)
+      }
+      delete owner[member]
+    })
+
+    return optionsOf(modifications.trait).freeze ? freeze(application) : application
+  }))
+  modified[_modifications] = modifications
+  return modified
+}
+
+/**
+ * Returns a trait function that expresses `trait` without the given instance
+ * or static members.  Use it to resolve a name clash between traits by
+ * excluding the member from all but one of them.
+ *
+ * The returned trait is recognized by {@link expresses},
+ * {@link isTraitificationOf} and `instanceof` just like `trait`.
+ *
+ * @example
+ * class C extends traits(A.without('save'), B) {}
+ *
+ * @function
+ * @param {TraitFunction} trait The trait whose members are to be excluded
+ * @param {...(string|symbol)} members The names of the members to exclude
  * @return {TraitFunction} a new trait function
  */
-const Trait = trait => HasInstance(Dedupe(Cached(BareTrait(trait))))
+const without = (trait, ...members) => modify(trait, { excluded: members })
+
+/**
+ * Returns a trait function that expresses `trait` with copies of some of its
+ * instance or static members available under additional names.  Combine it
+ * with {@link without} to rename a member.
+ *
+ * The returned trait is recognized by {@link expresses},
+ * {@link isTraitificationOf} and `instanceof` just like `trait`.
+ *
+ * @example
+ * class C extends traits(A, B.alias({ save: 'saveB' }).without('save')) {}
+ *
+ * @function
+ * @param {TraitFunction} trait The trait whose members are to be aliased
+ * @param {Object<string, string>} aliases A map of member names to alias names
+ * @return {TraitFunction} a new trait function
+ */
+const alias = (trait, aliases) => modify(trait, { aliases })
+
+/**
+ * Error thrown by {@link verify} when a class does not provide members that
+ * its traits require.
+ *
+ * @property {Function} class The class that was verified
+ * @property {Array<{trait: TraitFunction, member: string, kind: string, arity: number}>} missing
+ * Every missing member, with the trait that requires it, the kind of member
+ * required (`'method'`, `'accessor'` or `'static'`) and, for members of
+ * interfaces declared with an arity, the arity
+ */
+class TraitRequirementError extends Error {
+  constructor (clazz, missing) {
+    super(`class ${clazz.name || '<anonymous class>'} does not provide members required by its traits: ${
+      missing.map(it => `${it.kind} ${String(it.member)}${it.arity == null ? '' : ` with arity ${it.arity}`} (required by trait ${nameOf(it.trait)})`).join(', ')}`)
+    this.name = 'TraitRequirementError'
+    this.class = clazz
+    this.missing = missing
+  }
+}
+
+// returns the descriptor of member found first on the prototype chain of it
+const descriptorOf = (it, member) => {
+  for (; it != null; it = Object.getPrototypeOf(it)) {
+    const descriptor = Object.getOwnPropertyDescriptor(it, member)
+    if (descriptor) return descriptor
+  }
+}
+
+const requirementChecks = {
+  methods: (clazz, member) => {
+    const descriptor = descriptorOf(clazz.prototype, member)
+    return descriptor && typeof descriptor.value === 'function'
+  },
+  accessors: (clazz, member) => {
+    const descriptor = descriptorOf(clazz.prototype, member)
+    return descriptor && !!(descriptor.get || descriptor.set)
+  },
+  statics: (clazz, member) => member in clazz
+}
+
+const requirementKinds = { methods: 'method', accessors: 'accessor', statics: 'static' }
+
+// classes that have passed verify()
+const verified = shared('verified', () => new WeakSet())
+
+/**
+ * Verifies that `clazz` provides every member required by the traits it
+ * expresses, looking at its whole prototype chain, that is, at the class
+ * itself, its traits and its superclasses.  Requirements are declared with the
+ * `requires` option of {@link Trait}, or by declaring that a class implements
+ * an {@link Interface}.
+ *
+ * Classes expressing traits with requirements are verified automatically when
+ * their first instance is constructed; call `verify` to fail even earlier.
+ *
+ * @example
+ * const Nameable = Trait(s => class extends s {
+ *   set firstName (it) { this._firstName = this.checkFirstName(it) }
+ * }, { requires: { methods: ['checkFirstName'] } })
+ *
+ * class Person extends trait(Nameable) {}
+ *
+ * verify(Person) // throws TraitRequirementError
+ *
+ * @function
+ * @param {Function} clazz The class to verify
+ * @return {Function} `clazz`
+ * @throws {TraitRequirementError} if any required member is missing
+ */
+const verify = clazz => {
+  if (verified.has(clazz)) return clazz
+
+  const missing = []
+  for (let proto = clazz.prototype; proto != null; proto = Object.getPrototypeOf(proto)) {
+    (declaredInterfaces.get(proto) || []).forEach(iface => missing.push(...missingMembers(clazz.prototype, clazz, iface)))
+    if (!hasOwn(proto, _appliedTrait)) continue
+
+    const trait = proto[_appliedTrait]
+    const requires = optionsOf(trait).requires || {}
+    Object.keys(requirementChecks).forEach(kind => {
+      (requires[kind] || [])
+        .filter(member => !requirementChecks[kind](clazz, member))
+        .forEach(member => missing.push({ trait, member, kind: requirementKinds[kind] }))
+    })
+  }
+  if (missing.length) throw new TraitRequirementError(clazz, missing)
+
+  verified.add(clazz)
+  return clazz
+}
+
+// returns a subclass of superclass that verifies the class being constructed
+const requiring = superclass => {
+  const layer = class extends superclass {
+    constructor () {
+      verify(new.target)
+      super(...arguments)
+    }
+  }
+  layer.prototype[_internalLayer] = true
+  return layer
+}
+
+/**
+ * Error thrown when traits directly or indirectly declare themselves as their
+ * own supertraits.
+ *
+ * @property {TraitFunction[]} cycle The unwrapped traits forming the cycle,
+ * starting and ending with the same trait
+ */
+class TraitCycleError extends Error {
+  constructor (cycle) {
+    super(`traits form a supertrait cycle: ${cycle.map(nameOf).join(' -> ')}`)
+    this.name = 'TraitCycleError'
+    this.cycle = cycle
+  }
+}
+
+/**
+ * Returns the supertraits that `trait` was declared with using the
+ * `supertraits` option of {@link Trait}, or an empty array.
+ *
+ * @function
+ * @param {TraitFunction} trait A trait function, wrapped or not
+ * @return {TraitFunction[]} The supertraits as they were declared
+ */
+const supertraitsOf = trait => {
+  const supertraits = optionsOf(trait).supertraits || []
+  return typeof supertraits === 'function' ? supertraits() : supertraits
+}
+
+/**
+ * Returns the supertrait graph of `traits`, that is, a `Map` from each of
+ * `traits` and each of their direct and indirect supertraits to its direct
+ * supertraits.  All traits in the graph are unwrapped.
+ *
+ * @function
+ * @param {...TraitFunction} traits The traits to start from
+ * @return {Map<TraitFunction, TraitFunction[]>}
+ * @throws {TraitCycleError} if the graph contains a cycle
+ */
+const supertraitGraph = (...traits) => {
+  const graph = new Map()
+
+  const visit = (trait, path) => {
+    const unwrapped = unwrap(trait)
+    if (path.includes(unwrapped)) throw new TraitCycleError(path.slice(path.indexOf(unwrapped)).concat(unwrapped))
+    if (graph.has(unwrapped)) return
+
+    const supertraits = supertraitsOf(trait)
+    graph.set(unwrapped, supertraits.map(unwrap))
+    supertraits.forEach(it => visit(it, path.concat(unwrapped)))
+  }
+
+  traits.forEach(it => visit(it, []))
+  return graph
+}
+
+/**
+ * Error thrown by {@link linearize} when traits and their supertraits cannot be
+ * put in an order that respects every declared precedence.
+ *
+ * @property {TraitFunction[]} traits The unwrapped traits that could not be
+ * ordered with respect to each other
+ */
+class TraitLinearizationError extends Error {
+  constructor (traits, trait) {
+    super(`cannot linearize ${trait ? `supertraits of trait ${nameOf(trait)}` : 'traits'}: their declarations disagree on the order of ${traits.map(nameOf).join(', ')}`)
+    this.name = 'TraitLinearizationError'
+    this.traits = traits
+  }
+}
+
+// merges linearizations as described by the C3 algorithm, identifying traits by their unwrapped functions
+const merge = (sequences, trait) => {
+  const result = []
+  const isTailOf = (candidate, sequence) => sequence.slice(1).some(it => unwrap(it) === unwrap(candidate))
+
+  sequences = sequences.filter(it => it.length)
+  while (sequences.length) {
+    const heads = sequences.map(it => it[0])
+    const head = heads.find(candidate => !sequences.some(it => isTailOf(candidate, it)))
+    if (!head) throw new TraitLinearizationError(heads.map(unwrap).filter((it, i, all) => all.indexOf(it) === i), trait)
+
+    result.push(head)
+    sequences = sequences.map(it => unwrap(it[0]) === unwrap(head) ? it.slice(1) : it).filter(it => it.length)
+  }
+  return result
+}
+
+/**
+ * Returns the C3 linearization (as used for Python's method resolution order)
+ * of `traits` and all of their declared supertraits, from the most to the
+ * least specific trait.  Later traits take precedence over earlier ones, both
+ * in `traits` and in each `supertraits` option, just like they do when
+ * applied by {@link TraitBuilder#expressing}.
+ *
+ * @example
+ * const Base = Trait(s => class extends s {})
+ * const A = Trait(s => class extends s {}, { supertraits: [Base] })
+ * const B = Trait(s => class extends s {}, { supertraits: [Base] })
+ *
+ * linearize(A, B) // [B, A, Base]
+ *
+ * @function
+ * @param {...TraitFunction} traits The traits to linearize
+ * @return {TraitFunction[]} The traits and their supertraits as they were
+ * given or declared
+ * @throws {TraitCycleError} if the supertrait graph contains a cycle
+ * @throws {TraitLinearizationError} if the declared precedences are inconsistent
+ */
+const linearize = (...traits) => {
+  supertraitGraph(...traits)
+
+  const linearizations = new Map()
+  const linearizationOf = trait => {
+    const unwrapped = unwrap(trait)
+    if (!linearizations.has(unwrapped)) {
+      const supertraits = supertraitsOf(trait).slice().reverse()
+      linearizations.set(unwrapped, [trait].concat(merge(supertraits.map(linearizationOf).concat([supertraits]), trait)))
+    }
+    return linearizations.get(unwrapped)
+  }
+
+  const bases = traits.slice().reverse().filter((it, i, all) => all.findIndex(t => unwrap(t) === unwrap(it)) === i)
+  return merge(bases.map(linearizationOf).concat([bases]))
+}
+
+// unwrapped traits whose supertraits are being applied, used to detect cycles
+const applying = []
+
+// applies the supertraits of trait that superclass doesn't already express
+const applySupertraits = (superclass, trait) => {
+  const unwrapped = unwrap(trait)
+  if (applying.includes(unwrapped)) throw new TraitCycleError(applying.slice(applying.indexOf(unwrapped)).concat(unwrapped))
+
+  applying.push(unwrapped)
+  try {
+    const options = optionsOf(trait)
+    const supertraits = supertraitsOf(trait).filter((t, i, all) => !expresses(superclass.prototype, t) &&
+      all.findIndex(it => unwrap(it) === unwrap(t)) === i)
+
+    return options.detectConflicts
+      ? applyDetectingConflicts(superclass, supertraits, options.resolved)
+      : supertraits.reduce((it, t) => expresses(it.prototype, t) ? it : t(it), superclass)
+  } finally {
+    applying.pop()
+  }
+}
+
+/**
+ * Decorates a trait function to add deduplication, application caching and
+ * instanceof support.
+ *
+ * @example
+ * const Nameable = Trait(s => class extends s {
+ *   set firstName (it) { this._firstName = this.checkFirstName(it) }
+ * }, { requires: { methods: ['checkFirstName'] } })
+ *
+ * const Person = Trait(s => class extends s {}, { supertraits: [Nameable] })
+ *
+ * @function
+ * @param {TraitFunction} trait The trait to wrap
+ * @param {TraitOptions} [options] Options that {@link apply} honors
+ * @return {TraitFunction} a new trait function
+ * @throws {TraitDefinitionError} if `trait` is not a function, or a class, or
+ * `options` is not an object, or `trait` was already given different options
+ */
+const Trait = (trait, options) => HasInstance(Dedupe(Cached(BareTrait(trait, options))))
+
+// splits the arguments of compose() and override() into traits and options
+const traitsAndOptions = args => isPlainObject(args[args.length - 1])
+  ? [args.slice(0, -1), args[args.length - 1]]
+  : [args, {}]
+
+/**
+ * Returns a new trait that is the sum of `traits`: it applies all of them as
+ * one unit, and is expressed by every class that expresses all of them
+ * through it.  Members provided by more than one of `traits` are conflicts
+ * that cause a {@link TraitConflictError} unless they are listed in the
+ * `resolved` option, or excluded from all but one trait with
+ * {@link without}.
+ *
+ * The traits are declared as supertraits of the returned trait, so they are
+ * applied in order unless the superclass already expresses them, and they
+ * take part in {@link supertraitGraph} and {@link linearize}.
+ *
+ * @example
+ * const Entity = compose(Identifiable, Timestamped, Versioned, { name: 'Entity' })
+ *
+ * class Person extends trait(Entity) {}
+ *
+ * expresses(new Person(), Entity) // true
+ * expresses(new Person(), Timestamped) // true
+ *
+ * @function
+ * @param {...TraitFunction} traits The traits to compose, optionally followed
+ * by an options object
+ * @param {Object} [options]
+ * @param {string} [options.name] The name of the new trait
+ * @param {Array<string|symbol>} [options.resolved] Names of members that are
+ * allowed to be provided by more than one trait, in which case the last
+ * trait wins
+ * @return {TraitFunction} a new trait function
+ */
+const compose = (...args) => {
+  const [traits, options] = traitsAndOptions(args)
+  return Trait(s => class extends s {}, { name: options.name, supertraits: traits, detectConflicts: true, resolved: options.resolved })
+}
+
+/**
+ * Returns a new trait that applies `traits` as one unit, where each trait
+ * overrides the members of the traits after it, so that the first trait
+ * wins.  Like {@link compose}, except that it never reports conflicts.
+ *
+ * @example
+ * const Auditing = override(AuditedSaving, Saving)
+ *
+ * @function
+ * @param {...TraitFunction} traits The traits to compose, optionally followed
+ * by an options object
+ * @param {Object} [options]
+ * @param {string} [options.name] The name of the new trait
+ * @return {TraitFunction} a new trait function
+ */
+const override = (...args) => {
+  const [traits, options] = traitsAndOptions(args)
+  return Trait(s => class extends s {}, { name: options.name, supertraits: traits.slice().reverse() })
+}
+
+// unwrapped parameterizations of traits mapped to their Parameterized() families
+const families = shared('families', () => new WeakMap())
+
+// whether a and b are structurally equal, comparing arrays and plain objects by their contents and anything else by identity
+const structurallyEqual = (a, b) => {
+  if (Object.is(a, b)) return true
+  if (Array.isArray(a)) return Array.isArray(b) && a.length === b.length && a.every((it, i) => structurallyEqual(it, b[i]))
+  if (!isPlainObject(a) || !isPlainObject(b)) return false
+
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every(key => hasOwn(b, key) && structurallyEqual(a[key], b[key]))
+}
+
+const isPlainObject = it => it != null && typeof it === 'object' &&
+  (Object.getPrototypeOf(it) === Object.prototype || Object.getPrototypeOf(it) === null)
+
+// formats the arguments of a parameterized trait for its name
+const formatArguments = args => args.map(it => {
+  if (typeof it === 'function') return it.name || '<anonymous function>'
+  try {
+    return JSON.stringify(it)
+  } catch (e) {
+    return String(it)
+  }
+}).join(', ')
+
+/**
+ * Decorates a function returning a trait function, so that calling it returns
+ * a trait defined with {@link Trait}, and calling it again with structurally
+ * equal arguments (arrays and plain objects are compared by their contents)
+ * returns the same trait.  Applications of the traits are thus cached per
+ * superclass and argument set.
+ *
+ * The returned function represents the whole family of parameterizations:
+ * {@link expresses}, {@link isTraitificationOf} and `instanceof` with it
+ * match any of them, whereas with a parameterization they only match that
+ * one.
+ *
+ * @example
+ * const Validating = Parameterized(options => s => class extends s {
+ *   validate () { return options.strict ? this.validateStrictly() : true }
+ * }, { name: 'Validating' })
+ *
+ * class Person extends trait(Validating({ strict: true })) {}
+ *
+ * new Person() instanceof Validating // true
+ * new Person() instanceof Validating({ strict: true }) // true
+ * new Person() instanceof Validating({ strict: false }) // false
+ *
+ * @function
+ * @param {function(...*): TraitFunction} factory Returns a new trait function
+ * for the given arguments, since a function can only define one trait
+ * @param {TraitOptions} [options] Options for each parameterization; its name
+ * is derived from the `name` option or the name of `factory`, followed by
+ * the arguments
+ * @return {function(...*): TraitFunction} a function returning traits
+ */
+const Parameterized = (factory, options) => {
+  if (typeof factory !== 'function') throw new TraitDefinitionError(factory, 'a parameterized trait must be a function returning a trait function')
+  options = options || {}
+  const name = options.name || factory.name
+  const parameterizations = []
+
+  const family = HasInstance(function (...args) {
+    const existing = parameterizations.find(it => structurallyEqual(it.args, args))
+    if (existing) return existing.trait
+
+    const parameterization = Trait(factory(...args), Object.assign({}, options, { name: name && `${name}(${formatArguments(args)})` }))
+    families.set(unwrap(parameterization), family)
+    parameterizations.push({ args, trait: parameterization })
+    return parameterization
+  })
+  if (name) Object.defineProperty(family, 'name', { value: name, configurable: true })
+
+  return family
+}
+
+// returns a method calling invoke(this, args) surrounded by advice, in the style of the advised function
+const advised = {
+  sync: (advice, invoke) => function (...args) {
+    if (advice.before) advice.before.apply(this, args)
+    let result
+    try {
+      result = advice.around ? advice.around.call(this, (...it) => invoke(this, it), ...args) : invoke(this, args)
+    } catch (e) {
+      if (advice.afterThrowing) advice.afterThrowing.call(this, e, ...args)
+      throw e
+    }
+    if (advice.after) advice.after.call(this, result, ...args)
+    return result
+  },
+  async: (advice, invoke) => async function (...args) {
+    if (advice.before) await advice.before.apply(this, args)
+    let result
+    try {
+      result = await (advice.around ? advice.around.call(this, (...it) => invoke(this, it), ...args) : invoke(this, args))
+    } catch (e) {
+      if (advice.afterThrowing) await advice.afterThrowing.call(this, e, ...args)
+      throw e
+    }
+    if (advice.after) await advice.after.call(this, result, ...args)
+    return result
+  },
+  generator: (advice, invoke) => function * (...args) {
+    if (advice.before) advice.before.apply(this, args)
+    let result
+    try {
+      result = yield * (advice.around ? advice.around.call(this, (...it) => invoke(this, it), ...args) : invoke(this, args))
+    } catch (e) {
+      if (advice.afterThrowing) advice.afterThrowing.call(this, e, ...args)
+      throw e
+    }
+    if (advice.after) advice.after.call(this, result, ...args)
+    return result
+  },
+  // written without async generator syntax, which engines before Node 10 can't parse
+  asyncGenerator: (advice, invoke) => function (...args) {
+    let iterator
+    let isAsync
+    let done = false
+    let queue = Promise.resolve()
+
+    const resume = async (method, value) => {
+      if (!iterator && method !== 'next') done = true
+      if (done) {
+        if (method === 'throw') throw value
+        return { value: method === 'return' ? value : undefined, done: true }
+      }
+      if (!iterator && advice.before) {
+        try {
+          await advice.before.apply(this, args)
+        } catch (e) {
+          done = true
+          throw e
+        }
+      }
+
+      let result
+      try {
+        if (!iterator) {
+          const iterable = advice.around ? advice.around.call(this, (...it) => invoke(this, it), ...args) : invoke(this, args)
+          isAsync = typeof iterable[Symbol.asyncIterator] === 'function'
+          iterator = isAsync ? iterable[Symbol.asyncIterator]() : iterable[Symbol.iterator]()
+        }
+        if (!iterator[method]) {
+          if (method === 'throw') throw value
+          done = true
+          return { value, done: true }
+        }
+        result = await iterator[method](value)
+        if (!isAsync) result = { value: await result.value, done: result.done }
+      } catch (e) {
+        done = true
+        if (advice.afterThrowing) await advice.afterThrowing.call(this, e, ...args)
+        throw e
+      }
+      if (result.done) {
+        done = true
+        if (advice.after && method !== 'return') await advice.after.call(this, result.value, ...args)
+      }
+      return result
+    }
+
+    // like async generators, requests are handled one after the other
+    const enqueue = method => value => {
+      const result = queue.then(() => resume(method, value))
+      queue = result.catch(() => {})
+      return result
+    }
+    return {
+      next: enqueue('next'),
+      return: enqueue('return'),
+      throw: enqueue('throw'),
+      [Symbol.asyncIterator] () {
+        return this
+      }
+    }
+  }
+}
+
+const styleOf = method => ({
+  AsyncFunction: 'async',
+  GeneratorFunction: 'generator',
+  AsyncGeneratorFunction: 'asyncGenerator'
+})[method[Symbol.toStringTag]] || 'sync'
+
+// returns the descriptor of member of proto with advice applied to the member that proto inherits
+const adviseMember = (trait, superclass, member, advice) => {
+  const descriptor = descriptorOf(superclass.prototype, member)
+  if (!descriptor || (!descriptor.get && !descriptor.set && typeof descriptor.value !== 'function')) {
+    throw new TraitApplicationError(trait, superclass, member, `cannot advise member ${String(member)}: it is not a method or accessor of the superclass`)
+  }
+  const proto = superclass.prototype
+
+  if (typeof descriptor.value === 'function') {
+    return {
+      value: advised[styleOf(descriptor.value)](advice, (it, args) => Reflect.get(proto, member, it).apply(it, args)),
+      writable: true,
+      configurable: true
+    }
+  }
+  return {
+    get: descriptor.get && advised.sync(advice.get || advice, it => Reflect.get(proto, member, it)),
+    set: descriptor.set && advised.sync(advice.set || advice, (it, [value]) => { Reflect.set(proto, member, value, it) }),
+    configurable: true
+  }
+}
+
+const adviceKinds = ['before', 'around', 'after', 'afterThrowing']
+
+// prototypes of applications of Advice() mapped to the set of members they advise, which conflict detection ignores
+const advisedMembers = shared('advisedMembers', () => new WeakMap())
+
+/**
+ * Returns a trait that wraps members inherited from the superclass with
+ * advice, sparing you the `super` delegation boilerplate.  The advice for
+ * each member can have any of the following functions, which are called with
+ * the instance as `this`:
+ *
+ * - `before(...args)` is called before the member is invoked
+ * - `around(proceed, ...args)` is called instead of the member and returns
+ *   the result; `proceed(...args)` invokes the member
+ * - `after(result, ...args)` is called after the member returned
+ * - `afterThrowing(error, ...args)` is called if the member threw, before the
+ *   error is rethrown
+ *
+ * The kind of each member is looked up in the superclass when the trait is
+ * applied.  For methods that are async functions, the advice may be async as
+ * well, and `after` & `afterThrowing` are called once the returned promise
+ * settles.  For generator functions, `after` & `afterThrowing` are called once
+ * the generator is done, and `around` must return an iterable whose values
+ * are yielded.  The advice for accessors is called for both the getter and
+ * the setter, unless it has separate `get` and `set` advice.
+ *
+ * @example
+ * const Logging = Advice({
+ *   save: {
+ *     before (...args) { console.log('saving', ...args) },
+ *     afterThrowing (e) { console.error('save failed', e) }
+ *   },
+ *   name: {
+ *     set: { before (it) { if (!it) throw new Error('no name given') } }
+ *   }
+ * }, { name: 'Logging' })
+ *
+ * class Person extends superclass(Entity).expressing(Logging) {}
+ *
+ * @function
+ * @param {Object<string, Object>} advice Advice keyed by member name
+ * @param {TraitOptions} [options] Options of the returned trait
+ * @return {TraitFunction} a trait defined with {@link Trait}
+ * @throws {TraitDefinitionError} if the advice for a member is not an object,
+ * has properties other than the ones above, or any advice is not a function
+ * @throws {TraitApplicationError} when applied to a superclass that doesn't
+ * provide an advised method or accessor
+ */
+const Advice = (advice, options) => {
+  Reflect.ownKeys(advice).forEach(member => {
+    const check = (it, kinds) => {
+      if (!isPlainObject(it)) {
+        throw new TraitDefinitionError(it, `advice for member ${String(member)} must be an object with ${kinds.join(', ')} properties`)
+      }
+      Object.keys(it).forEach(kind => {
+        if (!kinds.includes(kind)) throw new TraitDefinitionError(kind, `advice for member ${String(member)} must be one of ${kinds.join(', ')}`)
+        if (kind === 'get' || kind === 'set') return check(it[kind], adviceKinds)
+        if (typeof it[kind] !== 'function') throw new TraitDefinitionError(it[kind], `${kind} advice for member ${String(member)} must be a function`)
+      })
+    }
+    check(advice[member], adviceKinds.concat('get', 'set'))
+  })
+
+  const trait = Trait(superclass => {
+    const application = class extends superclass {}
+
+    Reflect.ownKeys(advice).forEach(member => Object.defineProperty(application.prototype, member,
+      adviseMember(trait, superclass, member, advice[member])))
+    advisedMembers.set(application.prototype, new Set(Reflect.ownKeys(advice)))
+    return application
+  }, options)
+  return trait
+}
+
+// prototypes mapped to the sets of interfaces declared on them by expressing() or implement()
+const declaredInterfaces = shared('declaredInterfaces', () => new WeakMap())
+
+// used by Interface() to store the normalized members of interfaces
+const _interfaceMembers = Symbol.for('mutrait._interfaceMembers')
+
+const declareInterfaces = (clazz, interfaces) => {
+  let declared = declaredInterfaces.get(clazz.prototype)
+  if (!declared) declaredInterfaces.set(clazz.prototype, declared = new Set())
+  interfaces.forEach(it => declared.add(it))
+  verified.delete(clazz)
+}
+
+// superclasses mapped to the internal layers declaring interfaces on top of them
+const declaringLayers = shared('declaringLayers', () => new WeakMap())
+
+// returns an internal subclass of superclass that declares interfaces, so that no class shared with others declares them;
+// the layer is cached per superclass and set of interfaces, so that expressing the same interfaces gives the same class
+const declaring = (superclass, interfaces) => {
+  interfaces = Array.from(new Set(interfaces))
+  let layers = declaringLayers.get(superclass)
+  if (!layers) declaringLayers.set(superclass, layers = [])
+
+  const declares = layer => {
+    const declared = declaredInterfaces.get(layer.prototype)
+    return declared.size === interfaces.length && interfaces.every(it => declared.has(it))
+  }
+  let layer = layers.find(declares)
+  if (!layer) {
+    layer = class extends superclass {}
+    layer.prototype[_internalLayer] = true
+    declareInterfaces(layer, interfaces)
+    layers.push(layer)
+  }
+  return layer
+}
+
+const isInterface = trait => !!unwrap(trait)[_interfaceMembers]
+
+// returns the members of iface that it, an instance or prototype, or constructor, its class, don't provide
+const missingMembers = (it, constructor, iface) => iface[_interfaceMembers]
+  .filter(({ member, kind, arity }) => {
+    const descriptor = kind === 'static' ? descriptorOf(constructor, member) : descriptorOf(it, member)
+    if (!descriptor) return true
+    if (kind === 'accessor') return !descriptor.get && !descriptor.set
+    if (kind === 'method' && typeof descriptor.value !== 'function') return true
+    return arity != null && !(typeof descriptor.value === 'function' && descriptor.value.length >= arity)
+  })
+  .map(({ member, kind, arity }) => arity == null ? { trait: iface, member, kind } : { trait: iface, member, kind, arity })
+
+/**
+ * Returns an interface: a trait that only declares members, without
+ * contributing any.  Each member is declared with its kind,
+ * `'method'`, `'accessor'` or `'static'`, and optionally, for methods and
+ * static methods, with the number of parameters it declares at least, not
+ * counting rest parameters and parameters with defaults.  A kind on its own
+ * is shorthand for `{ kind }`.
+ *
+ * Given to {@link TraitBuilder#expressing}, interfaces are declared on an
+ * empty internal layer on top of the traits, which {@link traitsOf} and
+ * {@link describe} leave out, so that neither the superclass nor a cached
+ * application shared with other classes declares them.  Like applications,
+ * the layer is cached, so expressing the same traits and interfaces on the
+ * same superclass gives the same class.  To declare that a
+ * finished class implements interfaces, and check that right away, use
+ * {@link implement}.
+ *
+ * Classes declaring interfaces are checked by {@link verify}, which throws a
+ * {@link TraitRequirementError} for members that are missing or have the
+ * wrong kind or arity.  {@link expresses} is `true` for instances of classes
+ * declaring an interface, whereas {@link isInstance} and `instanceof` check
+ * any object structurally.
+ *
+ * @example
+ * const Comparable = Interface({ compareTo: { kind: 'method', arity: 1 } }, { name: 'Comparable' })
+ *
+ * class Money extends superclass(Amount).expressing(Comparable) {
+ *   compareTo (that) { return this.cents - that.cents }
+ * }
+ *
+ * verify(Money)
+ * new Money() instanceof Comparable // true
+ * ({ compareTo (that) {} }) instanceof Comparable // true
+ *
+ * @function
+ * @param {Object<string, string|{kind: string, arity: number}>} members The
+ * members of the interface keyed by name
+ * @param {Object} [options]
+ * @param {string} [options.name] The name of the interface, used in errors
+ * @return {TraitFunction} the interface
+ * @throws {TraitDefinitionError} if a member has an unknown kind or an
+ * invalid arity
+ */
+const Interface = (members, options) => {
+  options = options || {}
+  const iface = HasInstance(function (superclass) {
+    return declaring(superclass || class {}, [iface])
+  })
+
+  iface[_traitOptions] = options
+  iface[_interfaceMembers] = Reflect.ownKeys(members).map(member => {
+    const declaration = typeof members[member] === 'string' ? { kind: members[member] } : Object(members[member])
+    const kind = declaration.kind || 'method'
+    if (!['method', 'accessor', 'static'].includes(kind)) {
+      throw new TraitDefinitionError(kind, `the kind of member ${String(member)} must be 'method', 'accessor' or 'static'`)
+    }
+    if (declaration.arity != null && !(Number.isInteger(declaration.arity) && declaration.arity >= 0)) {
+      throw new TraitDefinitionError(declaration.arity, `the arity of member ${String(member)} must be a non-negative integer`)
+    }
+    return { member, kind, arity: declaration.arity }
+  })
+  if (options.name) Object.defineProperty(iface, 'name', { value: options.name, configurable: true })
+
+  return recognize(iface, it => Object(it) === it && missingMembers(it, it.constructor, iface).length === 0)
+}
+
+/**
+ * Declares that `clazz` implements `interfaces` created with
+ * {@link Interface}, and verifies it right away with {@link verify}.
+ *
+ * @example
+ * class Money {
+ *   compareTo (that) { return this.cents - that.cents }
+ * }
+ * implement(Money, Comparable)
+ *
+ * @function
+ * @param {Function} clazz The class implementing the interfaces
+ * @param {...TraitFunction} interfaces The interfaces
+ * @return {Function} `clazz`
+ * @throws {TraitRequirementError} if `clazz` lacks members of the interfaces,
+ * or of its traits
+ */
+const implement = (clazz, ...interfaces) => {
+  declareInterfaces(clazz, interfaces)
+  return verify(clazz)
+}
 
 /**
  * A fluent interface to apply a list of traits to a superclass.
@@ -220,11 +2053,18 @@ const Trait = trait => HasInstance(Dedupe(Cached(BareTrait(trait))))
  * class X extends C(B(A(Superclass || class {}))) {}
  * ```
  *
+ * Pass `options` to enable conflict detection; see {@link TraitBuilder}.
+ *
+ * ```javascript
+ * class X extends superclass(Superclass, { detectConflicts: true }).expressing(A, B, C) {}
+ * ```
+ *
  * @function
  * @param {Function} [superclass=(class {})]
+ * @param {Object} [options] See {@link TraitBuilder}
  * @return {TraitBuilder}
  */
-const superclass = superclass => new TraitBuilder(superclass)
+const superclass = (superclass, options) => new TraitBuilder(superclass, options)
 
 /**
  * A convenient syntactical shortcut to handle the case when a class extends
@@ -247,19 +2087,165 @@ const traits = (...ts) => superclass().expressing(...ts)
  */
 const trait = traits
 
+/**
+ * Error thrown when two traits given to {@link TraitBuilder#expressing} provide
+ * the same member and conflict detection is enabled.
+ *
+ * @property {string|symbol} member The name of the clashing member
+ * @property {TraitFunction[]} traits The two clashing traits, in application order
+ */
+class TraitConflictError extends Error {
+  constructor (member, traits, kinds) {
+    super(`member ${String(member)} is provided by both trait ${nameOf(traits[0])} (${kinds[0]}) and trait ${nameOf(traits[1])} (${kinds[1]}); exclude it from one of the traits or list it in the "resolved" option`)
+    this.name = 'TraitConflictError'
+    this.member = member
+    this.traits = traits
+  }
+}
+
+// used in error messages
+const nameOf = trait => optionsOf(trait).name || unwrap(trait).name || '<anonymous trait>'
+
+const kindOf = descriptor => {
+  if (descriptor.get && descriptor.set) return 'accessor'
+  if (descriptor.get) return 'getter'
+  if (descriptor.set) return 'setter'
+  return typeof descriptor.value === 'function' ? 'method' : 'property'
+}
+
+// whether a key and descriptor of a prototype or class belong to mutrait or the language rather than to the trait
+const isInstanceInternal = (key, descriptor) => key === 'constructor' || key === _appliedTrait ||
+  descriptor.get === applicationToStringTag || descriptor.value === disposeMethod
+const isStaticInternal = (key, descriptor) => key === 'length' || key === 'name' || key === 'prototype' || descriptor.value === applicationToString
+
+/**
+ * Returns the instance and static members that `application` adds on top of
+ * `superclass`, each as a `Map` keyed by member name, with the kind of each
+ * member as its value.  Members shadowed by a subclass layer of the
+ * application are only reported once, and members that {@link Advice} wraps
+ * aren't reported, since they delegate to the member they override.
+ *
+ * @param {Function} application A subclass of `superclass`
+ * @param {Function} superclass The class the application was applied to
+ * @return {{instance: Map<string|symbol, string>, static: Map<string|symbol, string>}}
+ */
+const membersAddedBy = (application, superclass) => {
+  const members = { instance: new Map(), static: new Map() }
+  const add = (map, object, isInternal) => Reflect.ownKeys(object)
+    .filter(key => !map.has(key))
+    .map(key => [key, Object.getOwnPropertyDescriptor(object, key)])
+    .filter(([key, descriptor]) => !isInternal(key, descriptor))
+    .forEach(([key, descriptor]) => map.set(key, kindOf(descriptor)))
+
+  for (let clazz = application; clazz && clazz.prototype && clazz !== superclass; clazz = Object.getPrototypeOf(clazz)) {
+    if (hasOwn(clazz.prototype, _internalLayer)) continue
+
+    const advisedHere = advisedMembers.get(clazz.prototype)
+    add(members.instance, clazz.prototype, (key, descriptor) => isInstanceInternal(key, descriptor) || (!!advisedHere && advisedHere.has(key)))
+    add(members.static, clazz, isStaticInternal)
+  }
+  return members
+}
+
+// applies traits like TraitBuilder#expressing(), throwing a TraitConflictError for conflicts that aren't resolved
+const applyDetectingConflicts = (superclass, traits, resolved) => {
+  resolved = new Set(resolved || [])
+  const providers = { instance: new Map(), static: new Map() }
+
+  return traits.reduce((it, t) => {
+    const application = step(it, t)
+    const members = membersAddedBy(application, it)
+
+    Object.keys(members).forEach(scope => members[scope].forEach((kind, member) => {
+      if (scope === 'static') kind = `static ${kind}`
+
+      const provider = providers[scope].get(member)
+      if (provider && !resolved.has(member) && !supertraitGraph(t).has(unwrap(provider.trait))) {
+        throw new TraitConflictError(member, [provider.trait, t], [provider.kind, kind])
+      }
+      providers[scope].set(member, { trait: t, kind })
+    }))
+
+    return application
+  }, superclass)
+}
+
+// applies trait to superclass as one step of TraitBuilder#expressing
+const step = (superclass, trait) => {
+  const start = traceStart()
+  const result = checkApplication(trait, superclass, checkTrait(trait)(superclass))
+  if (start) trace('step', trait, superclass, result, start)
+  return result
+}
+
 class TraitBuilder {
-  constructor (superclass) {
+  /**
+   * @param {Function} [superclass=(class {})]
+   * @param {Object} [options]
+   * @param {boolean} [options.detectConflicts=false] Whether to throw a
+   * {@link TraitConflictError} when two traits provide the same member
+   * @param {Array<string|symbol>} [options.resolved=[]] Names of instance or
+   * static members that are allowed to be provided by more than one trait, in
+   * which case the last trait wins
+   * @param {boolean} [options.linearize=false] Whether to apply the traits and
+   * all of their declared supertraits in the order given by {@link linearize}
+   * @param {boolean} [options.freeze=false] Whether to freeze every class that
+   * `expressing` adds to the prototype chain, and their prototypes, once all
+   * traits have been applied
+   */
+  constructor (superclass, options) {
     this.superclass = superclass || class {}
+    this.options = options || {}
   }
 
   /**
    * Applies `traits` in order to the superclass given to `superclass()`.
    *
+   * If the `detectConflicts` option was given, each instance and static
+   * member added by a trait is compared against the members added by the
+   * traits before it, and a {@link TraitConflictError} is thrown for the first
+   * member that is not listed in the `resolved` option.  Traits may override
+   * members of their declared supertraits, though.
+   *
+   * If the `linearize` option was given, the traits and their supertraits are
+   * applied from the least to the most specific trait of their C3
+   * linearization instead, leaving out those that the superclass already
+   * expresses.
+   *
+   * Interfaces created with {@link Interface} are not applied in order, but
+   * declared together on an internal layer on top of the other traits.
+   *
+   * If the `freeze` option was given, all classes between the result and the
+   * superclass are frozen along with their prototypes.  Note that cached
+   * applications are shared with other classes expressing the same traits on
+   * top of the same superclass.
+   *
    * @param {TraitFunction[]} traits
    * @return {Function} a subclass of `superclass` expressing `traits`
+   * @throws {TraitDefinitionError} if any of `traits` is not a function, or a
+   * class
+   * @throws {TraitApplicationError} if the superclass is not a class or any of
+   * `traits` doesn't return a subclass of the class it is applied to
+   * @throws {TraitLinearizationError} if the traits cannot be linearized
    */
   expressing (...traits) {
-    return traits.reduce((it, t) => t(it), this.superclass)
+    traits.forEach(checkTrait)
+    if (traits.length) checkSuperclass(traits[0], this.superclass)
+    const interfaces = traits.filter(isInterface)
+    traits = traits.filter(it => !isInterface(it))
+    if (this.options.linearize) {
+      traits = linearize(...traits).reverse().filter(it => !expresses(this.superclass.prototype, it))
+    }
+
+    const applied = this.options.detectConflicts
+      ? applyDetectingConflicts(this.superclass, traits, this.options.resolved)
+      : traits.reduce(step, this.superclass)
+    const result = interfaces.length ? declaring(applied, interfaces) : applied
+
+    if (this.options.freeze) {
+      for (let clazz = result; clazz !== this.superclass; clazz = Object.getPrototypeOf(clazz)) freeze(clazz)
+    }
+    return result
   }
 }
 
@@ -267,15 +2253,48 @@ module.exports = {
   apply,
   isTraitificationOf,
   expresses,
+  traitsOf,
+  whereIs,
+  describe,
+  toMermaid,
+  toDot,
   Cached,
+  cachedApplication,
+  clearCache,
   wrap,
   unwrap,
   Dedupe,
+  declareEquivalent,
+  recognize,
+  isInstance,
   HasInstance,
   BareTrait,
+  without,
+  alias,
   Trait,
+  compose,
+  override,
+  Parameterized,
+  Advice,
+  Interface,
+  implement,
+  supertraitsOf,
+  supertraitGraph,
+  linearize,
   superclass,
   trait,
   traits,
-  TraitBuilder
+  verify,
+  initialize,
+  dispose,
+  stateOf,
+  inspectState,
+  setTracer,
+  TraitBuilder,
+  TraitConflictError,
+  TraitRequirementError,
+  TraitCycleError,
+  TraitLinearizationError,
+  TraitDefinitionError,
+  TraitApplicationError
 }
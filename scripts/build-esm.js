@@ -0,0 +1,29 @@
+// Generates index.mjs, the ES module entry point, from index.js, so that both
+// entry points share one implementation and the ES module loads natively in
+// browsers and Deno, without going through CommonJS interop.  The two entry
+// points share their state through the registry on globalThis.
+
+const fs = require('fs')
+const path = require('path')
+const { version } = require('../package.json')
+
+const root = path.join(__dirname, '..')
+
+const replacements = [
+  [/require\('\.\/package\.json'\)\.version/, `'${version}'`],
+  [/\b__filename\b/, 'import.meta.url'],
+  [/format: 'commonjs'/, "format: 'module'"],
+  [/^module\.exports = \{$/m, 'export {']
+]
+
+const source = fs.readFileSync(path.join(root, 'index.js'), 'utf8')
+
+const generated = replacements.reduce((it, [pattern, replacement]) => {
+  if (!pattern.test(it)) throw new Error(`index.js no longer contains ${pattern}; update ${path.relative(root, __filename)}`)
+  return it.replace(pattern, replacement)
+}, source)
+
+const leftover = generated.match(/\b(require\(|module\.exports|exports\.|__dirname|__filename)/)
+if (leftover) throw new Error(`index.js uses ${leftover[1]}, which the ES module entry point can't; update ${path.relative(root, __filename)}`)
+
+fs.writeFileSync(path.join(root, 'index.mjs'), `// Generated from index.js by scripts/build-esm.js; do not edit.\n\n${generated}`)
@@ -0,0 +1,133 @@
+import { expectAssignable, expectError, expectNotAssignable, expectType } from 'tsd'
+import {
+  Constructor,
+  Trait,
+  BareTrait,
+  Parameterized,
+  TraitConflictError,
+  TraitApplicationError,
+  apply,
+  compose,
+  expresses,
+  isInstance,
+  superclass,
+  traits,
+  trait,
+  without,
+  alias,
+  setTracer,
+  initialize,
+  Advice,
+  Interface,
+  implement,
+  describe,
+  toMermaid,
+  toDot
+} from '..'
+
+const Nameable = Trait(<S extends Constructor>(s: S) => class extends s {
+  name?: string
+  static separator = ' '
+})
+
+const Countable = Trait(<S extends Constructor>(s: S) => class extends s {
+  count (): number { return 0 }
+})
+
+class Person {
+  constructor (public last: string) {}
+  greet (): string { return 'hi' }
+}
+
+// traits() & trait() intersect the instance types
+const NameableCountable = traits(Nameable, Countable)
+const it = new NameableCountable()
+expectType<string | undefined>(it.name)
+expectType<number>(it.count())
+expectType<number>(new (trait(Countable))().count())
+
+// expressing() keeps the superclass' members and constructor parameters
+class Employee extends superclass(Person).expressing(Nameable, Countable) {}
+const employee = new Employee('Monkey')
+expectType<string>(employee.last)
+expectType<string>(employee.greet())
+expectType<string | undefined>(employee.name)
+expectType<number>(employee.count())
+expectError(new Employee())
+
+// statics of traits are kept
+expectType<string>(Employee.separator)
+
+// apply() returns a subclass expressing the trait
+const Applied = apply(Person, Countable)
+expectType<number>(new Applied('Monkey').count())
+expectType<string>(new Applied('Monkey').last)
+
+// expresses() & isInstance() are type guards
+const unknown: unknown = employee
+if (expresses(unknown, Countable)) {
+  expectType<number>(unknown.count())
+}
+if (isInstance(unknown, Nameable)) {
+  expectType<string | undefined>(unknown.name)
+}
+
+// without() & alias() change the contributed members
+const Uncountable = Countable.without('count')
+expectNotAssignable<{ count (): number }>(new (traits(Uncountable))())
+expectNotAssignable<{ count (): number }>(new (traits(without(Countable, 'count')))())
+expectError(Countable.without('missing'))
+
+const Tallying = Countable.alias({ count: 'tally' })
+expectType<number>(new (traits(Tallying))().tally())
+expectType<number>(new (traits(alias(Countable, { count: 'tally' })))().count())
+
+// compose() contributes the members of all of its traits
+const Entity = compose(Nameable, Countable, { name: 'Entity' })
+expectType<number>(new (traits(Entity))().count())
+expectType<string | undefined>(new (traits(Entity))().name)
+
+// parameterized traits
+const Validating = Parameterized((options: { strict: boolean }) => <S extends Constructor>(s: S) => class extends s {
+  strict = options.strict
+})
+expectType<boolean>(new (traits(Validating({ strict: true })))().strict)
+expectError(Validating('strict'))
+if (expresses(unknown, Validating)) {
+  expectType<boolean>(unknown.strict)
+}
+
+// advice keeps the superclass' members
+const Logging = Advice({ greet: { before () {}, after (result: string) {} } })
+expectType<string>(new (superclass(Person).expressing(Logging))('Monkey').greet())
+expectError(Advice({ greet: { before: 1 } }))
+
+// interfaces contribute no members
+const Comparable = Interface({ compareTo: { kind: 'method', arity: 1 } })
+expectError(new (traits(Comparable))().compareTo(1))
+class Money extends superclass(Object).expressing(Comparable) {
+  compareTo (that: Money) { return 0 }
+}
+expectType<number>(new Money().compareTo(new Money()))
+expectType<typeof Person>(implement(Person, Comparable))
+expectError(Interface({ compareTo: 'function' }))
+
+// descriptions are serializable
+expectType<number | null>(describe(Employee).layers[0].members[0].overrides)
+expectType<string>(toMermaid(describe(Employee)))
+expectType<string>(toDot(Employee))
+
+// tracing
+setTracer(event => expectType<Function>(event.result))
+expectError(setTracer(event => event.missing))
+
+// lifecycle
+const Greeting = Trait(<S extends Constructor>(s: S) => class extends s {}, { initialize (greeting: string) {} })
+class Greeter extends superclass(Person).expressing(Greeting) {}
+expectType<Greeter>(initialize(new Greeter('Monkey'), 'hello'))
+
+// errors
+expectAssignable<Error>(new TraitConflictError('save', [Nameable, Nameable], ['method', 'method']))
+expectError(new TraitConflictError())
+expectType<unknown>(new TraitApplicationError(Nameable, null, null, 'not a class').value)
+expectError(new TraitApplicationError())
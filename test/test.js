@@ -1,6 +1,8 @@
-/* global suite suiteSetup test */
+/* global suite suiteSetup setup teardown test */
 'use strict'
 
+const fs = require('fs')
+const path = require('path')
 const { assert } = require('chai')
 
 const {
@@ -9,13 +11,47 @@ const {
   wrap,
   unwrap,
   expresses,
+  traitsOf,
+  whereIs,
+  describe,
+  toMermaid,
+  toDot,
+  Cached,
+  cachedApplication,
+  clearCache,
   BareTrait,
+  without,
+  alias,
   Trait,
+  compose,
+  override,
+  Parameterized,
+  Advice,
+  Interface,
+  implement,
+  supertraitsOf,
+  supertraitGraph,
+  linearize,
   Dedupe,
   HasInstance,
+  declareEquivalent,
+  recognize,
+  isInstance,
   superclass,
   trait,
-  traits
+  traits,
+  verify,
+  initialize,
+  dispose,
+  stateOf,
+  inspectState,
+  setTracer,
+  TraitConflictError,
+  TraitRequirementError,
+  TraitDefinitionError,
+  TraitApplicationError,
+  TraitCycleError,
+  TraitLinearizationError
 } = require('..')
 
 suite('mutrait', () => {
@@ -59,6 +95,91 @@ suite('mutrait', () => {
     })
   })
 
+  suite('traitsOf()', () => {
+    const A = Trait(s => class extends s {})
+    const B = Trait(s => class extends s {})
+    const C = Trait(s => class extends s {}, { requires: { methods: ['toString'] } })
+
+    test('traitsOf() lists traits and classes of a class', () => {
+      class Super extends traits(A) {}
+      class Sub extends superclass(Super).expressing(B, C) {}
+
+      const layers = traitsOf(Sub)
+      assert.deepEqual(layers.map(it => it.trait || it.class), [
+        Sub, unwrap(C), unwrap(B), Super, unwrap(A), Object.getPrototypeOf(Object.getPrototypeOf(Super))
+      ])
+      assert.equal(layers[1].application, Object.getPrototypeOf(Sub))
+      assert.isTrue(isTraitificationOf(layers[2].application.prototype, B))
+    })
+
+    test('traitsOf() lists traits and classes of an instance', () => {
+      class Super {}
+      class Sub extends superclass(Super).expressing(A) {}
+
+      assert.deepEqual(traitsOf(new Sub()).map(it => it.trait || it.class), [Sub, unwrap(A), Super])
+    })
+
+    test('traitsOf() returns only classes for classes without traits', () => {
+      class Super {}
+      class Sub extends Super {}
+
+      assert.deepEqual(traitsOf(Sub), [{ class: Sub }, { class: Super }])
+      assert.deepEqual(traitsOf({}), [])
+    })
+  })
+
+  suite('whereIs()', () => {
+    const Saving = Trait(s => class extends s {
+      save () { return `Saving ${super.save()}` }
+    })
+    const Named = Trait(s => class extends s {
+      get name () { return 'name' }
+      set name (it) {}
+      get id () { return 1 }
+    })
+
+    class Super {
+      save () { return 'Super' }
+      set id (it) {}
+    }
+
+    test('whereIs() lists providers in super order', () => {
+      class C extends superclass(Super).expressing(Saving, Named) {
+        save () { return super.save() }
+      }
+
+      const providers = whereIs(C, 'save')
+      assert.deepEqual(providers.map(it => it.trait || it.class), [C, unwrap(Saving), Super])
+      assert.deepEqual(providers.map(it => it.kind), ['method', 'method', 'method'])
+      assert.equal(providers[1].application, Object.getPrototypeOf(Object.getPrototypeOf(C)))
+    })
+
+    test('whereIs() reports accessor kinds', () => {
+      class C extends superclass(Super).expressing(Named) {}
+
+      assert.deepEqual(whereIs(C, 'name').map(it => it.kind), ['accessor'])
+      assert.deepEqual(whereIs(C, 'id').map(it => it.kind), ['getter', 'setter'])
+    })
+
+    test('whereIs() reports fields of instances', () => {
+      class C extends superclass(Super).expressing(Saving) {
+        constructor () {
+          super()
+          this.save = () => 'field'
+        }
+      }
+
+      const c = new C()
+      const providers = whereIs(c, 'save')
+      assert.deepEqual(providers[0], { instance: c, kind: 'field' })
+      assert.deepEqual(providers.slice(1).map(it => it.trait || it.class), [unwrap(Saving), Super])
+    })
+
+    test('whereIs() returns an empty array for unknown members', () => {
+      assert.deepEqual(whereIs(Super, 'nope'), [])
+    })
+  })
+
   suite('wrap() and unwrap()', () => {
     test('wrap() sets the prototype', () => {
       const f = (x) => x * x
@@ -322,6 +443,337 @@ suite('mutrait', () => {
     })
   })
 
+  suite('describe()', () => {
+    class Entity {
+      save () { return 'Entity' }
+      static create () { return new this() }
+    }
+    const Nameable = Trait(s => class extends s {
+      get name () { return 'name' }
+      save () { return `Nameable ${super.save()}` }
+    }, { name: 'Nameable', id: 'acme/nameable', version: '1.0.0' })
+    const Comparable = Interface({ compareTo: 'method' }, { name: 'Comparable' })
+
+    class Person extends superclass(Entity).expressing(Nameable, Comparable) {
+      compareTo (that) { return 0 }
+      save () { return 'Person' }
+    }
+
+    test('describes the layers and their members', () => {
+      const description = describe(Person)
+
+      assert.deepEqual(description, {
+        name: 'Person',
+        layers: [
+          {
+            name: 'Person',
+            interfaces: ['Comparable'],
+            members: [
+              { name: 'compareTo', kind: 'method', static: false, overrides: null, callsSuper: false },
+              { name: 'save', kind: 'method', static: false, overrides: 1, callsSuper: false }
+            ]
+          },
+          {
+            name: 'Nameable(Entity)',
+            trait: 'Nameable',
+            id: 'acme/nameable',
+            version: '1.0.0',
+            members: [
+              { name: 'name', kind: 'getter', static: false, overrides: null, callsSuper: false },
+              { name: 'save', kind: 'method', static: false, overrides: 2, callsSuper: true }
+            ]
+          },
+          {
+            name: 'Entity',
+            members: [
+              { name: 'save', kind: 'method', static: false, overrides: null, callsSuper: false },
+              { name: 'create', kind: 'method', static: true, overrides: null, callsSuper: false }
+            ]
+          }
+        ]
+      })
+      assert.deepEqual(JSON.parse(JSON.stringify(description)), description)
+      assert.deepEqual(describe(new Person()), description)
+    })
+
+    test('catches reordered traits', () => {
+      const A = Trait(s => class extends s {}, { name: 'A' })
+      const B = Trait(s => class extends s {}, { name: 'B' })
+
+      const traitNames = clazz => describe(clazz).layers.map(it => it.trait).filter(it => it)
+
+      assert.deepEqual(traitNames(traits(A, B)), ['B', 'A'])
+      assert.notDeepEqual(traitNames(traits(B, A)), traitNames(traits(A, B)))
+    })
+
+    test('members named with regular expression syntax are described', () => {
+      class Base {
+        axb () {}
+        'a(b' () {}
+      }
+      class Odd extends Base {
+        'a(b' () { return super['a(b']() }
+        'a.b' () { return super.axb() }
+      }
+
+      const members = describe(Odd).layers[0].members
+      assert.deepEqual(members.map(it => [it.name, it.callsSuper]), [['a(b', true], ['a.b', false]])
+      assert.include(toMermaid(Odd), 'L0 : +a(b()')
+      assert.include(toDot(Odd), 'a(b()\\l')
+    })
+
+    test('toMermaid() renders a class diagram', () => {
+      assert.equal(toMermaid(Person), [
+        'classDiagram',
+        '  class L0["Person"]',
+        '  L0 : +compareTo()',
+        '  L0 : +save()',
+        '  class L1["Nameable(Entity)"]',
+        '  <<trait Nameable>> L1',
+        '  L1 : +name',
+        '  L1 : +save()',
+        '  class L2["Entity"]',
+        '  L2 : +save()',
+        '  L2 : +create()$',
+        '  L1 <|-- L0',
+        '  L0 ..> L1 : overrides save()',
+        '  L2 <|-- L1',
+        '  L1 ..> L2 : overrides save(), calls super',
+        ''
+      ].join('\n'))
+      assert.equal(toMermaid(describe(Person)), toMermaid(Person))
+    })
+
+    test('toDot() renders a digraph', () => {
+      assert.equal(toDot(Person), [
+        'digraph "Person" {',
+        '  rankdir=BT',
+        '  node [shape=record]',
+        '  L0 [label="{Person|compareTo()\\lsave()\\l}"]',
+        '  L1 [label="{«trait Nameable»\\nNameable(Entity)|name\\lsave()\\l}"]',
+        '  L2 [label="{Entity|save()\\lstatic create()\\l}"]',
+        '  L0 -> L1 [arrowhead=empty]',
+        '  L0 -> L1 [style=dashed, label="overrides save()"]',
+        '  L1 -> L2 [arrowhead=empty]',
+        '  L1 -> L2 [style=dashed, label="overrides save(), calls super"]',
+        '}',
+        ''
+      ].join('\n'))
+    })
+
+    test('toDot() escapes names', () => {
+      const Quoted = class {}
+      Object.defineProperty(Quoted, 'name', { value: '"quoted" <name>' })
+
+      assert.include(toDot(Quoted), 'digraph "\\"quoted\\" <name>" {')
+      assert.include(toDot(Quoted), 'L0 [label="{\\"quoted\\" \\<name\\>|}"]')
+    })
+  })
+
+  suite('named applications', () => {
+    class Person {}
+
+    test('applications are named after the trait function and superclass', () => {
+      const Nameable = Trait(function Nameable (s) {
+        return class extends s {}
+      })
+      const Application = Nameable(Person)
+
+      assert.equal(Application.name, 'Nameable(Person)')
+      assert.equal(String(Application), 'Nameable(Person)')
+      assert.equal(Object.prototype.toString.call(new Application()), '[object Nameable(Person)]')
+    })
+
+    test('applications are named after the name option', () => {
+      const Nameable = Trait(s => class extends s {}, { name: 'Nameable' })
+      const Identifiable = Trait(s => class extends s {}, { name: 'Identifiable' })
+
+      class C extends superclass(Person).expressing(Nameable, Identifiable) {}
+
+      assert.equal(Object.getPrototypeOf(C).name, 'Identifiable(Nameable(Person))')
+      assert.equal(String(C), 'C')
+      assert.equal(Object.prototype.toString.call(new C()), '[object C]')
+    })
+
+    test('applications with names of their own keep them', () => {
+      const Nameable = Trait(function Nameable (s) {
+        return class NameableImpl extends s {}
+      })
+
+      assert.equal(Nameable(Person).name, 'NameableImpl')
+    })
+
+    test('applications to anonymous superclasses are named after the trait', () => {
+      const A = Trait(s => class extends s {}, { name: 'A' })
+      const B = Trait(s => class extends s {}, { name: 'B' })
+
+      assert.equal(traits(A).name, 'A')
+      assert.equal(traits(A, B).name, 'B(A)')
+      assert.equal(A(class {}).name, 'A')
+    })
+
+    test('applications to null are named after the trait', () => {
+      const Nameable = function Nameable (s) {
+        return class extends s {}
+      }
+
+      assert.equal(apply(null, Nameable).name, 'Nameable')
+      assert.equal(BareTrait(Nameable)(null).name, 'Nameable')
+      assert.equal(Trait(function Cacheable (s) { return class extends s {} })(null).name, 'Cacheable')
+    })
+
+    test('applications of anonymous traits are not named', () => {
+      const Nameable = Trait(s => class extends s {})
+
+      assert.notInclude(String(Nameable(Person).name), '(')
+      assert.isFalse(Nameable(Person).hasOwnProperty('toString'))
+    })
+
+    test('named applications are cached', () => {
+      const Nameable = Trait(s => class extends s {}, { name: 'Nameable' })
+
+      assert.equal(Nameable(Person), Nameable(Person))
+      assert.equal(Nameable(Person).name, 'Nameable(Person)')
+    })
+
+    test('constructor stack frames show the name', () => {
+      const Failing = Trait(s => class extends s {
+        constructor () {
+          super()
+          throw new Error('failed')
+        }
+      }, { name: 'Failing' })
+
+      try {
+        new (Failing(Person))() // eslint-disable-line no-new
+        assert.fail('should have thrown')
+      } catch (e) {
+        assert.equal(e.message, 'failed')
+        assert.include(e.stack, 'Failing(Person)')
+      }
+    })
+
+    test('names do not conflict', () => {
+      const A = Trait(s => class extends s {}, { name: 'A' })
+      const B = Trait(s => class extends s {}, { name: 'B' })
+
+      class C extends superclass(Person, { detectConflicts: true }).expressing(A, B) {}
+
+      assert.equal(Object.getPrototypeOf(C).name, 'B(A(Person))')
+    })
+
+    test('error messages use the name option', () => {
+      const A = Trait(s => class extends s {
+        save () {}
+      }, { name: 'Saving' })
+      const B = Trait(s => class extends s {
+        save () {}
+      })
+
+      assert.throws(() => superclass(Person, { detectConflicts: true }).expressing(A, B), TraitConflictError, 'trait Saving')
+    })
+  })
+
+  suite('Cached', () => {
+    test('applications are cached per superclass', () => {
+      let applicationCount = 0
+      const T = Cached(BareTrait(s => {
+        applicationCount++
+        return class extends s {}
+      }))
+
+      class A {}
+      class B {}
+
+      assert.equal(T(A), T(A))
+      assert.notEqual(T(A), T(B))
+      assert.equal(applicationCount, 2)
+    })
+
+    test('applications to null are not cached', () => {
+      const T = Trait(s => class extends s {})
+
+      assert.notEqual(T(null), T(null))
+      assert.strictEqual(Object.getPrototypeOf(T(null).prototype), null)
+      assert.throws(() => T(42), TraitApplicationError, /the superclass is not a class/)
+    })
+
+    test('the superclass is not modified', () => {
+      const T = Cached(BareTrait(s => class extends s {}))
+
+      class Super {}
+      const keys = Reflect.ownKeys(Super)
+      T(Super)
+
+      assert.deepEqual(Reflect.ownKeys(Super), keys)
+    })
+
+    test('frozen and non-extensible superclasses work', () => {
+      const T = Cached(BareTrait(s => class extends s {}))
+
+      const Frozen = Object.freeze(class {})
+      const Sealed = Object.preventExtensions(class {})
+
+      assert.equal(T(Frozen), T(Frozen))
+      assert.equal(T(Sealed), T(Sealed))
+      assert.isTrue(expresses(new (T(Frozen))(), T))
+    })
+
+    test('cachedApplication() returns cached applications', () => {
+      const T = Trait(s => class extends s {})
+
+      class Super {}
+      assert.isUndefined(cachedApplication(T, Super))
+
+      const application = T(Super)
+      assert.equal(cachedApplication(T, Super), application)
+      assert.equal(cachedApplication(unwrap(T), Super), application)
+    })
+
+    test('clearCache() clears single applications', () => {
+      const T = Trait(s => class extends s {})
+
+      class A {}
+      class B {}
+      const a = T(A)
+      const b = T(B)
+      clearCache(T, A)
+
+      assert.isUndefined(cachedApplication(T, A))
+      assert.equal(cachedApplication(T, B), b)
+      assert.notEqual(T(A), a)
+    })
+
+    test('clearCache() clears all applications of a trait', () => {
+      const T = Trait(s => class extends s {})
+      const U = Trait(s => class extends s {})
+
+      class A {}
+      class B {}
+      T(A)
+      T(B)
+      const u = U(A)
+      clearCache(T)
+
+      assert.isUndefined(cachedApplication(T, A))
+      assert.isUndefined(cachedApplication(T, B))
+      assert.equal(cachedApplication(U, A), u)
+    })
+
+    test('clearCache() clears all applications', () => {
+      const T = Trait(s => class extends s {})
+      const U = Trait(s => class extends s {})
+
+      class A {}
+      T(A)
+      U(A)
+      clearCache()
+
+      assert.isUndefined(cachedApplication(T, A))
+      assert.isUndefined(cachedApplication(U, A))
+    })
+  })
+
   suite('Dedupe', () => {
     test('applies the trait the first time', () => {
       const T = Dedupe(BareTrait((s) => class extends s {}))
@@ -348,6 +800,22 @@ suite('mutrait', () => {
   })
 
   suite('HasInstance', () => {
+    test('objects without Object.prototype are handled', () => {
+      const T = Trait(s => class extends s {})
+      const Comparable = Interface({ compareTo: 'method' })
+      const comparable = Object.assign(Object.create(null), { compareTo () {} })
+      const Application = apply(null, T)
+      const instance = Object.create(Application.prototype)
+
+      assert.isFalse(Object.create(null) instanceof T)
+      assert.isFalse(Object.create(null) instanceof Comparable)
+      assert.isTrue(comparable instanceof Comparable)
+      assert.isTrue(instance instanceof T)
+      assert.isTrue(expresses(instance, T))
+      assert.deepEqual(traitsOf(Application), [{ trait: unwrap(T), application: Application }])
+      assert.deepEqual(describe(Application).layers.map(it => it.trait), ['<anonymous trait>'])
+    })
+
     let hasNativeHasInstance = false
 
     suiteSetup(() => {
@@ -376,6 +844,83 @@ suite('mutrait', () => {
         assert.isTrue(C[Symbol.hasInstance](i))
       }
     })
+
+    test('the prior implementation is called with the trait as this', () => {
+      const T = BareTrait(s => class extends s {})
+      let receiver
+      Object.defineProperty(T, Symbol.hasInstance, {
+        value (it) {
+          receiver = this
+          return it === 'special'
+        },
+        configurable: true
+      })
+      HasInstance(T)
+
+      assert.isTrue(T[Symbol.hasInstance]('special'))
+      assert.equal(receiver, T)
+      assert.isTrue(T[Symbol.hasInstance](new (T(class {}))()))
+      assert.isFalse(T[Symbol.hasInstance]({}))
+    })
+
+    test('the default implementation is used for traits with prototypes', () => {
+      const T = HasInstance(BareTrait(function T (s) {
+        return class extends s {}
+      }))
+
+      assert.isTrue(T[Symbol.hasInstance](Object.create(T.prototype)))
+      assert.isFalse(T[Symbol.hasInstance]({}))
+    })
+
+    test('HasInstance can be applied more than once', () => {
+      const T = HasInstance(HasInstance(BareTrait(s => class extends s {})))
+
+      assert.isTrue(T[Symbol.hasInstance](new (T(class {}))()))
+      assert.isFalse(T[Symbol.hasInstance]({}))
+    })
+
+    test('wrappers of traits with HasInstance work', () => {
+      const T = Trait(s => class extends s {
+        foo () {}
+      })
+      const Wrapper = Dedupe(T.without('foo'))
+
+      assert.isTrue(Wrapper[Symbol.hasInstance](new (Wrapper(class {}))()))
+      assert.isTrue(T[Symbol.hasInstance](new (Wrapper(class {}))()))
+      assert.isFalse(Wrapper[Symbol.hasInstance](new (class {})()))
+    })
+
+    test('equivalent traits are instances of each other', () => {
+      const A = Trait(s => class extends s {})
+      const B = Trait(s => class extends s {})
+      const C = Trait(s => class extends s {})
+      const D = Trait(s => class extends s {})
+
+      declareEquivalent(A, B)
+      declareEquivalent(C, B)
+
+      const a = new (trait(A))()
+      const c = new (trait(C))()
+      assert.isTrue(isInstance(a, C))
+      assert.isTrue(C[Symbol.hasInstance](a))
+      assert.isTrue(A[Symbol.hasInstance](c))
+      assert.isTrue(B[Symbol.hasInstance](c))
+      assert.isFalse(D[Symbol.hasInstance](c))
+      assert.isFalse(C[Symbol.hasInstance](new (trait(D))()))
+    })
+
+    test('recognized objects are instances of plain subclass factories', () => {
+      const legacy = s => class extends s {
+        serialize () {}
+      }
+      const Serializable = HasInstance(legacy)
+      recognize(Serializable, it => typeof it.serialize === 'function')
+
+      assert.isTrue(Serializable[Symbol.hasInstance](new (legacy(class {}))()))
+      assert.isTrue(Serializable[Symbol.hasInstance]({ serialize () {} }))
+      assert.isFalse(Serializable[Symbol.hasInstance]({}))
+      assert.isFalse(isInstance(null, Serializable))
+    })
   })
 
   const nthPrototypeOf = (it, n) => {
@@ -471,105 +1016,1779 @@ suite('mutrait', () => {
     })
   })
 
-  suite('supertraits', () => {
-    test('single supertrait', () => {
-      const Supertrait = Trait(s => class extends s {
-        foo () { return 'foo' }
+  suite('conflict detection', () => {
+    test('last trait wins when conflict detection is off', () => {
+      const A = Trait(s => class extends s {
+        save () { return 'A' }
+      })
+      const B = Trait(s => class extends s {
+        save () { return 'B' }
       })
 
-      const Subtrait = Trait(s => class extends superclass(s).expressing(Supertrait) {
-        bar () { return 'bar' }
+      class C extends superclass().expressing(A, B) {}
+
+      assert.equal(new C().save(), 'B')
+    })
+
+    test('throws when two traits provide the same method', () => {
+      const A = Trait(function A (s) {
+        return class extends s {
+          save () { return 'A' }
+        }
+      })
+      const B = Trait(function B (s) {
+        return class extends s {
+          save () { return 'B' }
+        }
       })
 
-      class C extends trait(Subtrait) {
-        snafu () { return 'snafu' }
+      try {
+        superclass(null, { detectConflicts: true }).expressing(A, B)
+        assert.fail('should have thrown')
+      } catch (e) {
+        assert.instanceOf(e, TraitConflictError)
+        assert.equal(e.member, 'save')
+        assert.deepEqual(e.traits, [A, B])
+        assert.include(e.message, 'save')
+        assert.include(e.message, 'trait A')
+        assert.include(e.message, 'trait B')
       }
-      const c = new C()
-      assert.equal(c.foo(), 'foo')
-      assert.equal(c.bar(), 'bar')
-      assert.equal(c.snafu(), 'snafu')
     })
 
-    test('multiple supertraits', () => {
-      const Supertrait1 = Trait(s => class extends s {
-        foo1 () { return 'foo1' }
+    test('throws when a getter clashes with a setter', () => {
+      const A = Trait(s => class extends s {
+        get name () { return 'A' }
+      })
+      const B = Trait(s => class extends s {
+        set name (it) {}
       })
 
-      const Supertrait2 = Trait(s => class extends s {
-        foo2 () { return 'foo2' }
+      assert.throws(() => superclass(null, { detectConflicts: true }).expressing(A, B), TraitConflictError, /getter.*setter/)
+    })
+
+    test('does not throw for resolved members', () => {
+      const A = Trait(s => class extends s {
+        save () { return 'A' }
+      })
+      const B = Trait(s => class extends s {
+        save () { return 'B' }
       })
 
-      const Subtrait = Trait(s => class extends superclass(s).expressing(Supertrait1, Supertrait2) {
-        bar () { return 'bar' }
+      class C extends superclass(null, { detectConflicts: true, resolved: ['save'] }).expressing(A, B) {}
+
+      assert.equal(new C().save(), 'B')
+    })
+
+    test('does not throw for members overriding the superclass', () => {
+      const A = Trait(s => class extends s {
+        save () { return 'A' }
       })
 
-      class C extends trait(Subtrait) {
-        snafu () { return 'snafu' }
+      class Super {
+        save () { return 'Super' }
       }
-      const c = new C()
-      assert.equal(c.foo1(), 'foo1')
-      assert.equal(c.foo2(), 'foo2')
-      assert.equal(c.bar(), 'bar')
-      assert.equal(c.snafu(), 'snafu')
+
+      class C extends superclass(Super, { detectConflicts: true }).expressing(A) {}
+
+      assert.equal(new C().save(), 'A')
     })
 
-    test('single supertrait with correct overrides', () => {
+    test('does not throw for subtraits overriding their supertraits', () => {
       const Supertrait = Trait(s => class extends s {
-        foo () { return 'foo from Supertrait' }
-        bar () { return 'bar from Supertrait' }
-        snafu () { return 'snafu from Supertrait' }
+        save () { return 'Supertrait' }
+      })
+      const Subtrait = Trait(s => class extends superclass(s).expressing(Supertrait) {
+        save () { return 'Subtrait' }
       })
 
-      const Subtrait = Trait(s => {
-        return class extends superclass(s).expressing(Supertrait) {
-          bar () { return 'bar from Subtrait' }
-          snafu () { return 'snafu from Subtrait' }
-        }
+      const Other = Trait(s => class extends s {
+        load () { return 'Other' }
       })
 
-      class C extends trait(Subtrait) {
-        snafu () { return 'snafu from C' }
-      }
+      class C extends superclass(null, { detectConflicts: true }).expressing(Subtrait, Other) {}
 
-      const c = new C()
-      assert.equal(c.foo(), 'foo from Supertrait')
-      assert.equal(c.bar(), 'bar from Subtrait')
-      assert.equal(c.snafu(), 'snafu from C')
+      assert.equal(new C().save(), 'Subtrait')
+      assert.equal(new C().load(), 'Other')
     })
+  })
 
-    test('multiple supertraits with correct overrides', () => {
-      const Supertrait1 = Trait(s => class extends s {
-        bleep () { return 'bleep from Supertrait1' }
-        foo () { return 'foo from Supertrait1' }
-        bar () { return 'bar from Supertrait1' }
-        snafu () { return 'snafu from Supertrait1' }
-      })
+  suite('without() and alias()', () => {
+    const A = Trait(s => class extends s {
+      save () { return 'A.save' }
+      load () { return 'A.load' }
+    })
+    const B = Trait(s => class extends s {
+      save () { return 'B.save' }
+    })
 
-      const Supertrait2 = Trait(s => class extends s {
-        foo () { return 'foo from Supertrait2' }
-        bar () { return 'bar from Supertrait2' }
-        snafu () { return 'snafu from Supertrait2' }
-      })
+    test('without() excludes members', () => {
+      class C extends traits(A.without('save')) {}
 
-      const Subtrait = Trait(s =>
-        class extends superclass(s).expressing(Supertrait1, Supertrait2) {
-          bar () { return 'bar from Subtrait' }
-          snafu () { return 'snafu from Subtrait' }
-        })
+      const c = new C()
+      assert.isUndefined(c.save)
+      assert.equal(c.load(), 'A.load')
+    })
 
-      class C extends trait(Subtrait) {
-        snafu () { return 'snafu from C' }
+    test('without() exposes the superclass member', () => {
+      class Super {
+        save () { return 'Super.save' }
       }
 
+      class C extends superclass(Super).expressing(without(A, 'save')) {}
+
+      assert.equal(new C().save(), 'Super.save')
+    })
+
+    test('without() does not affect other applications of the trait', () => {
+      class C extends traits(A.without('save')) {}
+      class D extends traits(A) {}
+
+      assert.isUndefined(new C().save)
+      assert.equal(new D().save(), 'A.save')
+    })
+
+    test('alias() adds copies of members', () => {
+      class C extends traits(A, B.alias({ save: 'saveB' })) {}
+
       const c = new C()
-      assert.equal(c.bleep(), 'bleep from Supertrait1')
-      assert.equal(c.foo(), 'foo from Supertrait2')
-      assert.equal(c.bar(), 'bar from Subtrait')
-      assert.equal(c.snafu(), 'snafu from C')
-      assert.isTrue(c instanceof C)
-      assert.isTrue(c instanceof Subtrait)
-      assert.isTrue(c instanceof Supertrait2)
+      assert.equal(c.save(), 'B.save')
+      assert.equal(c.saveB(), 'B.save')
+    })
+
+    test('alias() and without() can be chained to rename a member', () => {
+      class C extends traits(A, alias(B, { save: 'saveB' }).without('save')) {}
+
+      const c = new C()
+      assert.equal(c.save(), 'A.save')
+      assert.equal(c.saveB(), 'B.save')
+    })
+
+    test('aliased members can call super', () => {
+      const T = Trait(s => class extends s {
+        save () { return `T.save ${super.save()}` }
+      })
+
+      class Super {
+        save () { return 'Super.save' }
+      }
+
+      class C extends superclass(Super).expressing(T.alias({ save: 'saveT' }).without('save')) {}
+
+      const c = new C()
+      assert.equal(c.save(), 'Super.save')
+      assert.equal(c.saveT(), 'T.save Super.save')
+    })
+
+    test('modified traits are recognized', () => {
+      const Excluding = A.without('save')
+
+      class C extends traits(Excluding) {}
+
+      const c = new C()
+      assert.isTrue(expresses(c, A))
+      assert.isTrue(expresses(c, Excluding))
+      assert.isTrue(isTraitificationOf(Object.getPrototypeOf(C.prototype), A))
+      assert.isTrue(isTraitificationOf(Object.getPrototypeOf(C.prototype), Excluding))
+      assert.isTrue(c instanceof A)
+      assert.isTrue(c instanceof Excluding)
+    })
+
+    test('modified traits are not applied again', () => {
+      let constructed = 0
+      const Counting = Trait(s => class extends s {
+        constructor () {
+          super()
+          constructed++
+        }
+
+        save () { return 'Counting.save' }
+      })
+
+      class C extends traits(Counting, Counting.without('save')) {}
+      class D extends traits(Counting.alias({ save: 'store' }), Counting) {}
+
+      new C() // eslint-disable-line no-new
+      assert.equal(constructed, 1)
+      new D() // eslint-disable-line no-new
+      assert.equal(constructed, 2)
+      assert.equal(new C().save(), 'Counting.save')
+      assert.equal(new D().store(), 'Counting.save')
+    })
+
+    test('modified traits resolve conflicts', () => {
+      class C extends superclass(null, { detectConflicts: true }).expressing(A.without('save'), B) {}
+
+      assert.equal(new C().save(), 'B.save')
+    })
+
+    test('excluding or aliasing an unknown member throws', () => {
+      assert.throws(() => traits(A.without('nope')), /nope/)
+      assert.throws(() => traits(A.alias({ nope: 'nopeA' })), /nope/)
+      assert.throws(() => traits(A.alias({ save: 'load' })), /load/)
+    })
+  })
+
+  suite('requirements', () => {
+    const Nameable = Trait(function Nameable (s) {
+      return class extends s {
+        set firstName (it) {
+          this._firstName = this.checkFirstName(it)
+        }
+
+        get firstName () {
+          return this._firstName
+        }
+      }
+    }, { requires: { methods: ['checkFirstName'], accessors: ['id'], statics: ['create'] } })
+
+    test('verify() returns a class that provides all required members', () => {
+      class Super {
+        get id () { return 1 }
+      }
+
+      class Person extends superclass(Super).expressing(Nameable) {
+        static create () { return new Person() }
+        checkFirstName (it) { return it }
+      }
+
+      assert.equal(verify(Person), Person)
+      const person = Person.create()
+      person.firstName = 'Cheeky'
+      assert.equal(person.firstName, 'Cheeky')
+    })
+
+    test('verify() lists every missing member', () => {
+      const Identifiable = Trait(function Identifiable (s) {
+        return class extends s {}
+      }, { requires: { methods: ['generateId'] } })
+
+      class Person extends traits(Nameable, Identifiable) {
+        checkFirstName () {}
+      }
+
+      try {
+        verify(Person)
+        assert.fail('should have thrown')
+      } catch (e) {
+        assert.instanceOf(e, TraitRequirementError)
+        assert.equal(e.class, Person)
+        assert.deepEqual(e.missing, [
+          { trait: unwrap(Identifiable), member: 'generateId', kind: 'method' },
+          { trait: unwrap(Nameable), member: 'id', kind: 'accessor' },
+          { trait: unwrap(Nameable), member: 'create', kind: 'static' }
+        ])
+        assert.include(e.message, 'Person')
+        assert.include(e.message, 'generateId (required by trait Identifiable)')
+      }
+    })
+
+    test('a member of the wrong kind does not satisfy a requirement', () => {
+      class Person extends trait(Nameable) {
+        static create () {}
+        get checkFirstName () { return it => it }
+        id () {}
+      }
+
+      assert.throws(() => verify(Person), TraitRequirementError, /method checkFirstName.*accessor id/)
+    })
+
+    test('the first construction verifies the class', () => {
+      class Person extends trait(Nameable) {}
+
+      assert.throws(() => new Person(), TraitRequirementError, /checkFirstName/)
+    })
+
+    test('construction succeeds when requirements are met', () => {
+      class Person extends trait(Nameable) {
+        static create () {}
+        get id () { return 1 }
+        checkFirstName (it) { return it.toUpperCase() }
+      }
+
+      const person = new Person()
+      person.firstName = 'Cheeky'
+      assert.equal(person.firstName, 'CHEEKY')
+      assert.isTrue(person instanceof Nameable)
+    })
+  })
+
+  suite('supertraits', () => {
+    test('single supertrait', () => {
+      const Supertrait = Trait(s => class extends s {
+        foo () { return 'foo' }
+      })
+
+      const Subtrait = Trait(s => class extends superclass(s).expressing(Supertrait) {
+        bar () { return 'bar' }
+      })
+
+      class C extends trait(Subtrait) {
+        snafu () { return 'snafu' }
+      }
+      const c = new C()
+      assert.equal(c.foo(), 'foo')
+      assert.equal(c.bar(), 'bar')
+      assert.equal(c.snafu(), 'snafu')
+    })
+
+    test('multiple supertraits', () => {
+      const Supertrait1 = Trait(s => class extends s {
+        foo1 () { return 'foo1' }
+      })
+
+      const Supertrait2 = Trait(s => class extends s {
+        foo2 () { return 'foo2' }
+      })
+
+      const Subtrait = Trait(s => class extends superclass(s).expressing(Supertrait1, Supertrait2) {
+        bar () { return 'bar' }
+      })
+
+      class C extends trait(Subtrait) {
+        snafu () { return 'snafu' }
+      }
+      const c = new C()
+      assert.equal(c.foo1(), 'foo1')
+      assert.equal(c.foo2(), 'foo2')
+      assert.equal(c.bar(), 'bar')
+      assert.equal(c.snafu(), 'snafu')
+    })
+
+    test('single supertrait with correct overrides', () => {
+      const Supertrait = Trait(s => class extends s {
+        foo () { return 'foo from Supertrait' }
+        bar () { return 'bar from Supertrait' }
+        snafu () { return 'snafu from Supertrait' }
+      })
+
+      const Subtrait = Trait(s => {
+        return class extends superclass(s).expressing(Supertrait) {
+          bar () { return 'bar from Subtrait' }
+          snafu () { return 'snafu from Subtrait' }
+        }
+      })
+
+      class C extends trait(Subtrait) {
+        snafu () { return 'snafu from C' }
+      }
+
+      const c = new C()
+      assert.equal(c.foo(), 'foo from Supertrait')
+      assert.equal(c.bar(), 'bar from Subtrait')
+      assert.equal(c.snafu(), 'snafu from C')
+    })
+
+    test('multiple supertraits with correct overrides', () => {
+      const Supertrait1 = Trait(s => class extends s {
+        bleep () { return 'bleep from Supertrait1' }
+        foo () { return 'foo from Supertrait1' }
+        bar () { return 'bar from Supertrait1' }
+        snafu () { return 'snafu from Supertrait1' }
+      })
+
+      const Supertrait2 = Trait(s => class extends s {
+        foo () { return 'foo from Supertrait2' }
+        bar () { return 'bar from Supertrait2' }
+        snafu () { return 'snafu from Supertrait2' }
+      })
+
+      const Subtrait = Trait(s =>
+        class extends superclass(s).expressing(Supertrait1, Supertrait2) {
+          bar () { return 'bar from Subtrait' }
+          snafu () { return 'snafu from Subtrait' }
+        })
+
+      class C extends trait(Subtrait) {
+        snafu () { return 'snafu from C' }
+      }
+
+      const c = new C()
+      assert.equal(c.bleep(), 'bleep from Supertrait1')
+      assert.equal(c.foo(), 'foo from Supertrait2')
+      assert.equal(c.bar(), 'bar from Subtrait')
+      assert.equal(c.snafu(), 'snafu from C')
+      assert.isTrue(c instanceof C)
+      assert.isTrue(c instanceof Subtrait)
+      assert.isTrue(c instanceof Supertrait2)
+      assert.isTrue(c instanceof Supertrait1)
+    })
+  })
+
+  suite('declared supertraits', () => {
+    test('supertraits are applied before the trait', () => {
+      const Supertrait1 = Trait(s => class extends s {
+        foo () { return 'foo from Supertrait1' }
+        bar () { return 'bar from Supertrait1' }
+      })
+
+      const Supertrait2 = Trait(s => class extends s {
+        foo () { return 'foo from Supertrait2' }
+      })
+
+      const Subtrait = Trait(s => class extends s {
+        bar () { return `bar from Subtrait, ${super.bar()}` }
+      }, { supertraits: [Supertrait1, Supertrait2] })
+
+      class C extends trait(Subtrait) {}
+
+      const c = new C()
+      assert.equal(c.foo(), 'foo from Supertrait2')
+      assert.equal(c.bar(), 'bar from Subtrait, bar from Supertrait1')
+      assert.isTrue(c instanceof Subtrait)
       assert.isTrue(c instanceof Supertrait1)
+      assert.isTrue(c instanceof Supertrait2)
+      assert.isTrue(isTraitificationOf(nthPrototypeOf(c, 2), Subtrait))
+      assert.isTrue(isTraitificationOf(nthPrototypeOf(c, 3), Supertrait2))
+      assert.isTrue(isTraitificationOf(nthPrototypeOf(c, 4), Supertrait1))
+    })
+
+    test('supertraits already expressed are not applied again', () => {
+      let applicationCount = 0
+      const Supertrait = Trait(s => {
+        applicationCount++
+        return class extends s {}
+      })
+      const Subtrait1 = Trait(s => class extends s {}, { supertraits: [Supertrait] })
+      const Subtrait2 = Trait(s => class extends s {}, { supertraits: [Supertrait] })
+
+      class C extends traits(Subtrait1, Subtrait2) {}
+
+      assert.isTrue(new C() instanceof Supertrait)
+      assert.equal(applicationCount, 1)
+      assert.isTrue(isTraitificationOf(nthPrototypeOf(new C(), 2), Subtrait2))
+      assert.isTrue(isTraitificationOf(nthPrototypeOf(new C(), 3), Subtrait1))
+      assert.isTrue(isTraitificationOf(nthPrototypeOf(new C(), 4), Supertrait))
+    })
+
+    test('supertraits can be introspected', () => {
+      const A = Trait(s => class extends s {})
+      const B = Trait(s => class extends s {}, { supertraits: [A] })
+      const C = Trait(s => class extends s {}, { supertraits: () => [A, B] })
+
+      assert.deepEqual(supertraitsOf(A), [])
+      assert.deepEqual(supertraitsOf(C), [A, B])
+
+      const graph = supertraitGraph(C)
+      assert.deepEqual([...graph.keys()], [unwrap(C), unwrap(A), unwrap(B)])
+      assert.deepEqual(graph.get(unwrap(C)), [unwrap(A), unwrap(B)])
+      assert.deepEqual(graph.get(unwrap(B)), [unwrap(A)])
+      assert.deepEqual(graph.get(unwrap(A)), [])
+    })
+
+    test('cycles are reported', () => {
+      const A = Trait(function A (s) {
+        return class extends s {}
+      }, { supertraits: () => [B] })
+      const B = Trait(function B (s) {
+        return class extends s {}
+      }, { supertraits: () => [A] })
+
+      assert.throws(() => supertraitGraph(A), TraitCycleError, 'A -> B -> A')
+      try {
+        trait(A)
+        assert.fail('should have thrown')
+      } catch (e) {
+        assert.instanceOf(e, TraitCycleError)
+        assert.deepEqual(e.cycle, [unwrap(A), unwrap(B), unwrap(A)])
+      }
+    })
+
+    test('overriding declared supertraits is not a conflict', () => {
+      const Supertrait = Trait(s => class extends s {
+        save () { return 'Supertrait' }
+      })
+      const Subtrait = Trait(s => class extends s {
+        save () { return 'Subtrait' }
+      }, { supertraits: [Supertrait] })
+
+      class C extends superclass(null, { detectConflicts: true }).expressing(Supertrait, Subtrait) {}
+
+      assert.equal(new C().save(), 'Subtrait')
+    })
+  })
+
+  suite('linearization', () => {
+    const named = (name, supertraits) => Trait({
+      [name]: s => class extends s {
+        who () { return name }
+      }
+    }[name], { supertraits })
+
+    test('linearize() orders shared supertraits after their subtraits', () => {
+      const Base = named('Base')
+      const A = named('A', [Base])
+      const B = named('B', [Base])
+
+      assert.deepEqual(linearize(A, B), [B, A, Base])
+    })
+
+    test('linearize() respects the declared order of supertraits', () => {
+      const Base1 = named('Base1')
+      const Base2 = named('Base2')
+      const A = named('A', [Base1, Base2])
+      const B = named('B', [Base1])
+
+      assert.deepEqual(linearize(B, A), [A, Base2, B, Base1])
+    })
+
+    test('linearize() rejects inconsistent hierarchies', () => {
+      const Base1 = named('Base1')
+      const Base2 = named('Base2')
+      const X = named('X', [Base1, Base2])
+      const Y = named('Y', [Base2, Base1])
+
+      try {
+        linearize(X, Y)
+        assert.fail('should have thrown')
+      } catch (e) {
+        assert.instanceOf(e, TraitLinearizationError)
+        assert.sameMembers(e.traits, [unwrap(Base1), unwrap(Base2)])
+        assert.include(e.message, 'Base1, Base2')
+      }
+      assert.throws(() => superclass(null, { linearize: true }).expressing(X, Y), TraitLinearizationError)
+    })
+
+    test('expressing() applies traits in linearized order', () => {
+      const Base1 = named('Base1')
+      const Base2 = named('Base2')
+      const A = named('A', [Base1, Base2])
+
+      class Unlinearized extends traits(Base2, A) {
+        who () { return super.who() }
+      }
+      class Linearized extends superclass(null, { linearize: true }).expressing(Base2, A) {}
+
+      const unlinearized = new Unlinearized()
+      assert.isTrue(isTraitificationOf(nthPrototypeOf(unlinearized, 3), Base1))
+      assert.isTrue(isTraitificationOf(nthPrototypeOf(unlinearized, 4), Base2))
+
+      const linearized = new Linearized()
+      assert.equal(linearized.who(), 'A')
+      assert.isTrue(isTraitificationOf(nthPrototypeOf(linearized, 2), A))
+      assert.isTrue(isTraitificationOf(nthPrototypeOf(linearized, 3), Base2))
+      assert.isTrue(isTraitificationOf(nthPrototypeOf(linearized, 4), Base1))
+    })
+
+    test('expressing() skips traits the superclass already expresses', () => {
+      const Base = named('Base')
+      const A = named('A', [Base])
+
+      class Super extends trait(Base) {}
+      class C extends superclass(Super, { linearize: true }).expressing(A) {}
+
+      assert.isTrue(isTraitificationOf(nthPrototypeOf(new C(), 2), A))
+      assert.equal(nthPrototypeOf(new C(), 3), Super.prototype)
+    })
+  })
+
+  suite('static members', () => {
+    const Findable = Trait(s => class extends s {
+      static find (id) { return `${this.name} ${id}` }
+    })
+    const Creatable = Trait(s => class extends s {
+      static create () { return new this() }
+    })
+
+    test('static methods of all traits are visible on the final class', () => {
+      class Person extends traits(Findable, Creatable) {}
+
+      assert.equal(Person.find(1), 'Person 1')
+      assert.instanceOf(Person.create(), Person)
+    })
+
+    test('static methods of later traits and the class win', () => {
+      const Finding = Trait(s => class extends s {
+        static find (id) { return `Finding ${super.find(id)}` }
+      })
+
+      class Person extends traits(Findable, Finding) {}
+      class Employee extends Person {
+        static find (id) { return `Employee ${super.find(id)}` }
+      }
+
+      assert.equal(Person.find(1), 'Finding Person 1')
+      assert.equal(Employee.find(1), 'Employee Finding Employee 1')
+    })
+
+    test('static state is shared between classes using the same application', () => {
+      const Counting = Trait(s => class extends s {
+        static count () { this.counter = (this.counter || 0) + 1 }
+      })
+
+      class Super {}
+      class A extends superclass(Super).expressing(Counting) {}
+      class B extends superclass(Super).expressing(Counting) {}
+
+      assert.equal(Object.getPrototypeOf(A), Object.getPrototypeOf(B))
+      Object.getPrototypeOf(A).count()
+      assert.equal(A.counter, 1)
+      assert.equal(B.counter, 1)
+    })
+
+    test('staticState gives each class its own state', () => {
+      const Registering = Trait(s => class extends s {
+        static register (it) { this.registry.push(it) }
+      }, { staticState: { registry: () => [], label () { return this.name } } })
+
+      class Super {}
+      class A extends superclass(Super).expressing(Registering) {}
+      class B extends superclass(Super).expressing(Registering) {}
+      class C extends A {}
+
+      A.register('a')
+      B.register('b')
+      C.register('c')
+      assert.deepEqual(A.registry, ['a'])
+      assert.deepEqual(B.registry, ['b'])
+      assert.deepEqual(C.registry, ['c'])
+      assert.equal(C.label, 'C')
+
+      A.registry = ['x']
+      assert.deepEqual(A.registry, ['x'])
+      assert.deepEqual(C.registry, ['c'])
+    })
+
+    test('static members go through conflict detection', () => {
+      const Finding = Trait(function Finding (s) {
+        return class extends s {
+          static find () {}
+        }
+      })
+
+      assert.throws(() => superclass(null, { detectConflicts: true }).expressing(Findable, Finding), TraitConflictError, /find.*static method.*static method/)
+
+      class Person extends superclass(null, { detectConflicts: true, resolved: ['find'] }).expressing(Findable, Finding) {}
+      assert.isUndefined(Person.find())
+    })
+
+    test('static conflicts are resolved with without() and alias()', () => {
+      const Finding = Trait(function Finding (s) {
+        return class extends s {
+          static find () { return 'Finding' }
+        }
+      })
+
+      class Person extends superclass(null, { detectConflicts: true }).expressing(Findable.without('find'), Finding) {}
+      assert.equal(Person.find(), 'Finding')
+
+      class Employee extends superclass(null, { detectConflicts: true })
+        .expressing(Findable.alias({ find: 'findById' }).without('find'), Finding) {}
+      assert.equal(Employee.find(), 'Finding')
+      assert.equal(Employee.findById(1), 'Employee 1')
+
+      const Both = Trait(s => class extends s {
+        static find () {}
+        static create () {}
+      })
+      assert.throws(() => Both.alias({ find: 'create' })(class {}), TraitApplicationError, /already has a member named create/)
+      assert.throws(() => Findable.without('name')(class {}), TraitApplicationError, /no such member/)
+    })
+
+    test('static and instance members of the same name do not conflict', () => {
+      const Finding = Trait(s => class extends s {
+        find () { return 'instance' }
+      })
+
+      class Person extends superclass(null, { detectConflicts: true }).expressing(Findable, Finding) {}
+
+      assert.equal(Person.find(1), 'Person 1')
+      assert.equal(new Person().find(), 'instance')
+    })
+
+    test('static state goes through conflict detection', () => {
+      const A = Trait(s => class extends s {}, { staticState: { registry: () => [] } })
+      const B = Trait(s => class extends s {}, { staticState: { registry: () => [] } })
+
+      assert.throws(() => superclass(null, { detectConflicts: true }).expressing(A, B), TraitConflictError, /registry/)
+    })
+  })
+
+  suite('frozen applications', () => {
+    test('the freeze option freezes applications', () => {
+      const T = Trait(s => class extends s {
+        foo () { return 'foo' }
+        static bar () { return 'bar' }
+      }, { freeze: true, name: 'T', staticState: { registry: () => [] } })
+
+      class Super {}
+      const application = T(Super)
+
+      assert.isTrue(Object.isFrozen(application))
+      assert.isTrue(Object.isFrozen(application.prototype))
+      assert.isFalse(Object.isFrozen(Super.prototype))
+      assert.throws(() => { application.prototype.foo = () => 'hacked' }, TypeError)
+      assert.equal(application.name, 'T(Super)')
+      assert.equal(application, T(Super))
+    })
+
+    test('frozen applications can be extended', () => {
+      const T = Trait(s => class extends s {
+        foo () { return 'foo' }
+      }, { freeze: true, staticState: { registry: () => [] } })
+
+      class C extends trait(T) {
+        foo () { return `C ${super.foo()}` }
+      }
+      C.registry.push('c')
+
+      const c = new C()
+      assert.equal(c.foo(), 'C foo')
+      assert.deepEqual(C.registry, ['c'])
+      assert.isTrue(c instanceof T)
+      assert.isTrue(isTraitificationOf(Object.getPrototypeOf(C.prototype), T))
+    })
+
+    test('modified frozen traits are frozen after modification', () => {
+      const T = Trait(s => class extends s {
+        foo () { return 'foo' }
+      }, { freeze: true })
+
+      const Application = T.alias({ foo: 'bar' }).without('foo')(class {})
+
+      assert.isTrue(Object.isFrozen(Application.prototype))
+      assert.isUndefined(Application.prototype.foo)
+      assert.equal(new Application().bar(), 'foo')
+    })
+
+    test('the freeze option of expressing() freezes all applications', () => {
+      const A = Trait(s => class extends s {}, { supertraits: [Trait(s => class extends s {})] })
+      const B = Trait(s => class extends s {}, { requires: { methods: ['toString'] } })
+
+      class Super {}
+      const Result = superclass(Super, { freeze: true }).expressing(A, B)
+
+      let layers = 0
+      for (let clazz = Result; clazz !== Super; clazz = Object.getPrototypeOf(clazz)) {
+        assert.isTrue(Object.isFrozen(clazz))
+        assert.isTrue(Object.isFrozen(clazz.prototype))
+        layers++
+      }
+      assert.equal(layers, 4)
+      assert.isFalse(Object.isFrozen(Super))
+
+      class C extends Result {}
+      assert.isTrue(new C() instanceof A)
+      assert.isTrue(new C() instanceof B)
+    })
+  })
+
+  suite('lifecycle hooks', () => {
+    test('onApply is called once per application', () => {
+      const calls = []
+      const T = Trait(s => class extends s {}, {
+        onApply (application, superclass) {
+          calls.push([application, superclass])
+        }
+      })
+
+      class A {}
+      class B {}
+      const a = T(A)
+      T(A)
+      const b = T(B)
+
+      assert.deepEqual(calls, [[a, A], [b, B]])
+    })
+
+    test('onApply is called before freezing', () => {
+      const T = Trait(s => class extends s {}, {
+        freeze: true,
+        onApply (application) {
+          application.prototype.registered = true
+        }
+      })
+
+      const application = T(class {})
+      assert.isTrue(application.prototype.registered)
+      assert.isTrue(Object.isFrozen(application.prototype))
+    })
+
+    test('init hooks are called in trait order right after the constructors of their applications', () => {
+      const calls = []
+      const A = Trait(s => class extends s {
+        constructor () {
+          super(...arguments)
+          calls.push('A constructor')
+        }
+      }, {
+        init (...args) {
+          calls.push(`A init ${args}`)
+        }
+      })
+      const B = Trait(s => class extends s {
+        constructor () {
+          super(...arguments)
+          calls.push('B constructor')
+        }
+      }, {
+        init () {
+          calls.push(`B init ${this instanceof C}`)
+        }
+      })
+
+      class C extends traits(A, B) {
+        constructor (x) {
+          super(x)
+          calls.push('C constructor')
+        }
+      }
+
+      const c = new C(1)
+      assert.deepEqual(calls, ['A constructor', 'A init 1', 'B constructor', 'B init true', 'C constructor'])
+      assert.instanceOf(c, C)
+      assert.isTrue(c instanceof A)
+      assert.isTrue(c instanceof B)
+      assert.isTrue(isTraitificationOf(Object.getPrototypeOf(C.prototype), B))
+      assert.equal(traitsOf(C)[1].application, Object.getPrototypeOf(C))
+    })
+
+    test('dispose hooks are called in reverse trait order once', () => {
+      const calls = []
+      const A = Trait(s => class extends s {}, {
+        dispose () {
+          calls.push(`A ${this instanceof C}`)
+        }
+      })
+      const B = Trait(s => class extends s {}, {
+        dispose () {
+          calls.push('B')
+        }
+      })
+      const N = Trait(s => class extends s {})
+
+      class C extends traits(A, N, B) {}
+
+      const c = new C()
+      dispose(c)
+      dispose(c)
+      assert.deepEqual(calls, ['B', 'A true'])
+    })
+
+    test('initialize hooks are called in trait order once, after the constructor', () => {
+      const calls = []
+      const A = Trait(s => class extends s {}, {
+        initialize (...args) {
+          calls.push(`A ${this.name} ${args}`)
+        }
+      })
+      const B = Trait(s => class extends s {}, {
+        initialize () {
+          calls.push(`B ${this.name}`)
+        }
+      })
+
+      class C extends traits(A, B) {
+        constructor (name) {
+          super()
+          this.name = name
+          calls.push('C constructor')
+          initialize(this, name)
+        }
+      }
+
+      const c = new C('c')
+      assert.strictEqual(initialize(c), c)
+      assert.deepEqual(calls, ['C constructor', 'A c c', 'B c'])
+    })
+
+    test('Symbol.dispose calls dispose hooks', function () {
+      if (!Symbol.dispose) this.skip()
+
+      const calls = []
+      const A = Trait(s => class extends s {}, { dispose () { calls.push('A') } })
+      const B = Trait(s => class extends s {}, { dispose () { calls.push('B') } })
+
+      class C extends superclass(null, { detectConflicts: true }).expressing(A, B) {}
+
+      new C()[Symbol.dispose]()
+      assert.deepEqual(calls, ['B', 'A'])
+    })
+  })
+
+  suite('private state', () => {
+    const Nameable = Trait(s => class extends s {
+      get name () { return stateOf(this, Nameable)._state }
+      set name (it) { stateOf(this, Nameable)._state = it }
+    }, { state: () => ({ _state: 'unnamed' }) })
+    const Counting = Trait(s => class extends s {
+      count () { return ++stateOf(this, Counting)._state }
+    }, { state () { return { _state: this.initialCount } } })
+
+    class C extends traits(Nameable, Counting) {
+      get initialCount () { return 10 }
+    }
+
+    test('traits with the same state names do not clash', () => {
+      const c = new C()
+      assert.equal(c.name, 'unnamed')
+      c.name = 'Cheeky'
+      assert.equal(c.count(), 11)
+      assert.equal(c.count(), 12)
+      assert.equal(c.name, 'Cheeky')
+      assert.isUndefined(c._state)
+    })
+
+    test('state is per instance', () => {
+      const c1 = new C()
+      const c2 = new C()
+      c1.name = 'Cheeky'
+
+      assert.equal(c2.name, 'unnamed')
+    })
+
+    test('state defaults to an empty object', () => {
+      const T = Trait(s => class extends s {})
+      const it = new (trait(T))()
+
+      assert.deepEqual(stateOf(it, T), {})
+      assert.equal(stateOf(it, T), stateOf(it, T))
+    })
+
+    test('state of traits that are not expressed is not accessible', () => {
+      assert.throws(() => stateOf({}, Nameable), /does not express/)
+    })
+
+    test('inspectState() shows the state of each trait', () => {
+      const c = new C()
+      assert.equal(inspectState(c).size, 0)
+
+      c.name = 'Cheeky'
+      c.count()
+      assert.deepEqual([...inspectState(c)], [[unwrap(Counting), { _state: 11 }], [unwrap(Nameable), { _state: 'Cheeky' }]])
+    })
+  })
+
+  suite('compose() and override()', () => {
+    const Identifiable = Trait(function Identifiable (s) {
+      return class extends s {
+        get id () { return 1 }
+        describe () { return `Identifiable ${super.describe()}` }
+      }
+    })
+    const Timestamped = Trait(function Timestamped (s) {
+      return class extends s {
+        get createdAt () { return 0 }
+        describe () { return `Timestamped ${super.describe()}` }
+      }
+    })
+
+    class Describable {
+      describe () { return 'Describable' }
+    }
+
+    test('compose() applies all traits as one unit', () => {
+      const Entity = compose(Identifiable, Timestamped.without('describe'), { name: 'Entity' })
+
+      class Person extends superclass(Describable).expressing(Entity) {}
+
+      const person = new Person()
+      assert.equal(person.id, 1)
+      assert.equal(person.createdAt, 0)
+      assert.equal(person.describe(), 'Identifiable Describable')
+      assert.isTrue(expresses(person, Entity))
+      assert.isTrue(expresses(person, Identifiable))
+      assert.isTrue(expresses(person, Timestamped))
+      assert.isTrue(person instanceof Entity)
+      assert.isTrue(person instanceof Timestamped)
+      assert.equal(Object.getPrototypeOf(Person).name, 'Entity(Timestamped(Identifiable(Describable)))')
+      assert.deepEqual(supertraitsOf(Entity).map(unwrap), [unwrap(Identifiable), unwrap(Timestamped)])
+    })
+
+    test('compose() reports conflicts', () => {
+      const Entity = compose(Identifiable, Timestamped)
+
+      assert.throws(() => superclass(Describable).expressing(Entity), TraitConflictError, /describe.*Identifiable.*Timestamped/)
+    })
+
+    test('compose() accepts resolved members', () => {
+      const Entity = compose(Identifiable, Timestamped, { resolved: ['describe'] })
+
+      class Person extends superclass(Describable).expressing(Entity) {}
+
+      assert.equal(new Person().describe(), 'Timestamped Identifiable Describable')
+    })
+
+    test('compose() skips traits the superclass already expresses', () => {
+      const Entity = compose(Identifiable, Timestamped, { resolved: ['describe'] })
+
+      class Super extends superclass(Describable).expressing(Identifiable) {}
+      class Person extends superclass(Super).expressing(Entity) {}
+
+      assert.equal(new Person().describe(), 'Timestamped Identifiable Describable')
+    })
+
+    test('composites can be composed', () => {
+      const Entity = compose(Identifiable, Timestamped.without('describe'))
+      const Named = Trait(s => class extends s {
+        get name () { return 'name' }
+      })
+      const NamedEntity = compose(Entity, Named)
+
+      class Person extends traits(NamedEntity) {}
+
+      const person = new Person()
+      assert.equal(person.name, 'name')
+      assert.equal(person.id, 1)
+      assert.isTrue(person instanceof Entity)
+      assert.isTrue(person instanceof Timestamped)
+    })
+
+    test('override() lets earlier traits win', () => {
+      const Entity = override(Timestamped, Identifiable)
+
+      class Person extends superclass(Describable).expressing(Entity) {}
+
+      const person = new Person()
+      assert.equal(person.describe(), 'Timestamped Identifiable Describable')
+      assert.isTrue(person instanceof Entity)
+      assert.isTrue(person instanceof Identifiable)
+    })
+
+    test('traits can be composed of no traits', () => {
+      class Base {}
+
+      assert.deepEqual(traitsOf(superclass(Base).expressing(compose())).map(it => it.class || it.trait).slice(1), [Base])
+      assert.deepEqual(traitsOf(superclass(Base).expressing(override())).map(it => it.class || it.trait).slice(1), [Base])
+      assert.equal(apply(Base, compose({ name: 'Nothing' })).name, 'Nothing(Base)')
+    })
+  })
+
+  suite('parameterized traits', () => {
+    const Validating = Parameterized(options => s => class extends s {
+      get strict () { return options.strict }
+    }, { name: 'Validating' })
+
+    test('structurally equal arguments return the same trait', () => {
+      assert.strictEqual(Validating({ strict: true }), Validating({ strict: true }))
+      assert.strictEqual(Validating([1, { a: 'b' }]), Validating([1, { a: 'b' }]))
+      assert.notStrictEqual(Validating({ strict: true }), Validating({ strict: false }))
+      assert.notStrictEqual(Validating({ strict: true }), Validating({ strict: true }, 1))
+    })
+
+    test('applications are cached per superclass and argument set', () => {
+      class Base {}
+
+      assert.strictEqual(apply(Base, Validating({ strict: true })), apply(Base, Validating({ strict: true })))
+      assert.notStrictEqual(apply(Base, Validating({ strict: true })), apply(Base, Validating({ strict: false })))
+    })
+
+    test('the family matches any parameterization', () => {
+      class Strict extends trait(Validating({ strict: true })) {}
+      class Lenient extends trait(Validating({ strict: false })) {}
+
+      assert.isTrue(new Strict().strict)
+      assert.isFalse(new Lenient().strict)
+      assert.isTrue(expresses(new Strict(), Validating))
+      assert.isTrue(expresses(new Lenient(), Validating))
+      assert.isTrue(new Strict() instanceof Validating)
+      assert.isFalse({} instanceof Validating)
+    })
+
+    test('a parameterization matches only itself', () => {
+      class Strict extends trait(Validating({ strict: true })) {}
+
+      assert.isTrue(expresses(new Strict(), Validating({ strict: true })))
+      assert.isTrue(new Strict() instanceof Validating({ strict: true }))
+      assert.isFalse(expresses(new Strict(), Validating({ strict: false })))
+      assert.isFalse(new Strict() instanceof Validating({ strict: false }))
+    })
+
+    test('parameterizations are deduplicated', () => {
+      class Base extends trait(Validating({ strict: true })) {}
+      const Application = apply(Base, Validating({ strict: true }))
+
+      assert.strictEqual(Application, Base)
+    })
+
+    test('parameterizations are named after their arguments', () => {
+      const Cacheable = Parameterized(function Cacheable (ttl) {
+        return s => class extends s {}
+      })
+
+      class Base {}
+
+      assert.equal(Cacheable.name, 'Cacheable')
+      assert.equal(apply(Base, Cacheable(60)).name, 'Cacheable(60)(Base)')
+      assert.equal(apply(Base, Validating({ strict: true })).name, 'Validating({"strict":true})(Base)')
+    })
+
+    test('factories must return a new trait function for each argument set', () => {
+      const shared = s => class extends s {}
+      const Sharing = Parameterized(value => shared, { name: 'Sharing' })
+
+      Sharing(1)
+      assert.throws(() => Sharing(2), TraitDefinitionError, /already defines a trait with different options/)
+    })
+
+    test('the family and the expressed parameterization share state', () => {
+      const Counting = Parameterized(step => s => class extends s {}, { name: 'Counting', state: () => ({ count: 0 }) })
+
+      class Counter extends trait(Counting(1)) {}
+      const counter = new Counter()
+
+      stateOf(counter, Counting).count++
+      assert.strictEqual(stateOf(counter, Counting), stateOf(counter, Counting(1)))
+      assert.deepEqual(stateOf(counter, Counting(1)), { count: 1 })
+      assert.deepEqual([...inspectState(counter).keys()], [unwrap(Counting(1))])
+      assert.throws(() => stateOf(counter, Counting(2)), /does not express trait Counting\(2\)/)
+      assert.throws(() => stateOf(counter, Validating), /does not express trait Validating/)
+    })
+  })
+
+  suite('ES module', () => {
+    const { execFileSync } = require('child_process')
+
+    const runModule = source => JSON.parse(execFileSync(process.execPath, ['--input-type=module', '-e', source], {
+      cwd: path.join(__dirname, '..'),
+      encoding: 'utf8'
+    }))
+
+    suiteSetup(function () {
+      // older versions of node can't run ES modules given on the command line, or lack top-level await
+      try {
+        execFileSync(process.execPath, ['--input-type=module', '-e', 'await null'], { stdio: 'ignore' })
+      } catch (e) {
+        this.skip()
+      }
+    })
+
+    test('exports the same names as the CommonJS entry point', () => {
+      const exported = runModule(`
+        import * as mutrait from 'mutrait'
+        console.log(JSON.stringify(Object.keys(mutrait).sort()))
+      `)
+
+      assert.deepEqual(exported, Object.keys(require('..')).sort())
+    })
+
+    test('is a module of its own, which imports nothing', () => {
+      const source = fs.readFileSync(path.join(__dirname, '..', 'index.mjs'), 'utf8')
+
+      assert.notMatch(source, /^\s*import\b/m)
+      assert.notMatch(source, /\brequire\(|\bmodule\.exports\b/)
+    })
+
+    test('shares traits with the CommonJS entry point', () => {
+      const results = runModule(`
+        import { Trait, traits } from 'mutrait'
+        import { createRequire } from 'module'
+        const { expresses, isInstance, superclass } = createRequire(import.meta.url)('mutrait')
+        const Nameable = Trait(s => class extends s {})
+        const Person = traits(Nameable)
+        console.log(JSON.stringify([
+          expresses(new Person(), Nameable),
+          isInstance(new Person(), Nameable),
+          superclass(Person).expressing(Nameable) === Person
+        ]))
+      `)
+
+      assert.deepEqual(results, [true, true, true])
+    })
+
+    test('is not warned about as another copy of the CommonJS entry point', () => {
+      const warnings = runModule(`
+        const warnings = []
+        process.on('warning', it => warnings.push(it.code))
+        const { createRequire } = await import('module')
+        createRequire(import.meta.url)('mutrait')
+        await import('mutrait')
+        setImmediate(() => console.log(JSON.stringify(warnings)))
+      `)
+
+      assert.deepEqual(warnings, [])
+    })
+  })
+
+  suite('advice', () => {
+    class Account {
+      constructor () {
+        this._balance = 0
+      }
+
+      deposit (amount) {
+        this._balance += amount
+        return this._balance
+      }
+
+      withdraw (amount) {
+        if (amount > this._balance) throw new Error('insufficient funds')
+        this._balance -= amount
+        return this._balance
+      }
+
+      get balance () { return this._balance }
+
+      set balance (it) { this._balance = it }
+
+      async load (amount) {
+        this._balance = await Promise.resolve(amount)
+        return this._balance
+      }
+
+      * history () {
+        yield 1
+        yield 2
+        return 'done'
+      }
+    }
+
+    test('runs before, around and after advice on methods', () => {
+      const calls = []
+      const Logging = Advice({
+        deposit: {
+          before (amount) { calls.push(['before', amount, this._balance]) },
+          around (proceed, amount) { return proceed(amount * 2) + 1 },
+          after (result, amount) { calls.push(['after', result, amount]) }
+        }
+      })
+
+      class LoggingAccount extends superclass(Account).expressing(Logging) {}
+
+      const account = new LoggingAccount()
+      assert.equal(account.deposit(5), 11)
+      assert.equal(account.balance, 10)
+      assert.deepEqual(calls, [['before', 5, 0], ['after', 11, 5]])
+      assert.isTrue(expresses(account, Logging))
+      assert.isTrue(account instanceof Logging)
+    })
+
+    test('runs afterThrowing advice and rethrows', () => {
+      const errors = []
+      const Reporting = Advice({
+        withdraw: {
+          afterThrowing (e, amount) { errors.push([e.message, amount]) }
+        }
+      })
+
+      class ReportingAccount extends superclass(Account).expressing(Reporting) {}
+
+      assert.throws(() => new ReportingAccount().withdraw(5), /insufficient funds/)
+      assert.deepEqual(errors, [['insufficient funds', 5]])
+    })
+
+    test('advises getters and setters', () => {
+      const calls = []
+      const Validating = Advice({
+        balance: {
+          get: { after (it) { calls.push(['get', it]) } },
+          set: { before (it) { if (it < 0) throw new Error('negative balance') } }
+        }
+      })
+
+      class ValidatingAccount extends superclass(Account).expressing(Validating) {}
+
+      const account = new ValidatingAccount()
+      account.balance = 3
+      assert.equal(account.balance, 3)
+      assert.throws(() => { account.balance = -1 }, /negative balance/)
+      assert.deepEqual(calls, [['get', 3]])
+    })
+
+    test('advises async methods once they settle', async () => {
+      const calls = []
+      const Logging = Advice({
+        load: {
+          async around (proceed, amount) { return (await proceed(amount)) + 1 },
+          after (result) { calls.push(result) }
+        }
+      })
+
+      class LoggingAccount extends superclass(Account).expressing(Logging) {}
+
+      const result = new LoggingAccount().load(3)
+      assert.instanceOf(result, Promise)
+      assert.equal(await result, 4)
+      assert.deepEqual(calls, [4])
+    })
+
+    test('advises generator methods once they are done', () => {
+      const calls = []
+      const Logging = Advice({
+        history: {
+          before () { calls.push('before') },
+          after (result) { calls.push(result) }
+        }
+      })
+
+      class LoggingAccount extends superclass(Account).expressing(Logging) {}
+
+      const history = new LoggingAccount().history()
+      assert.deepEqual(calls, [])
+      assert.deepEqual([...history], [1, 2])
+      assert.deepEqual(calls, ['before', 'done'])
+    })
+
+    test('advises async generator methods once they are done', async function () {
+      // async generator syntax would keep this file from loading on engines that lack it
+      let asyncGenerator
+      try {
+        asyncGenerator = eval('(async function * stream () { yield 1; yield await Promise.resolve(2); return \'done\' })') // eslint-disable-line no-eval
+      } catch (e) {
+        return this.skip()
+      }
+      class Streaming {}
+      Streaming.prototype.stream = asyncGenerator
+      const calls = []
+      const Logging = Advice({
+        stream: {
+          async before () { calls.push('before') },
+          after (result) { calls.push(result) }
+        }
+      })
+      const Failing = Advice({
+        stream: {
+          around () { throw new Error('failed') },
+          afterThrowing (e) { calls.push(e.message) }
+        }
+      })
+
+      const stream = new (superclass(Streaming).expressing(Logging))().stream()
+      assert.equal(stream[Symbol.asyncIterator](), stream)
+      assert.deepEqual(calls, [])
+      const values = [await stream.next(), await stream.next(), await stream.next(), await stream.next()]
+      assert.deepEqual(values, [{ value: 1, done: false }, { value: 2, done: false }, { value: 'done', done: true }, { value: undefined, done: true }])
+      assert.deepEqual(calls, ['before', 'done'])
+
+      const returned = new (superclass(Streaming).expressing(Logging))().stream()
+      await returned.next()
+      assert.deepEqual(await returned.return(3), { value: 3, done: true })
+      assert.deepEqual(calls, ['before', 'done', 'before'])
+
+      const failing = new (superclass(Streaming).expressing(Failing))().stream()
+      let error
+      await failing.next().catch(e => { error = e })
+      assert.equal(error.message, 'failed')
+      assert.deepEqual(calls, ['before', 'done', 'before', 'failed'])
+    })
+
+    test('applies to members the superclass inherits', () => {
+      const Doubling = Advice({ deposit: { around (proceed, amount) { return proceed(amount * 2) } } }, { name: 'Doubling' })
+
+      class Savings extends Account {}
+      class DoublingSavings extends superclass(Savings).expressing(Doubling) {}
+
+      assert.equal(new DoublingSavings().deposit(1), 2)
+      assert.equal(Object.getPrototypeOf(DoublingSavings).name, 'Doubling(Savings)')
+    })
+
+    test('advises members of traits when conflicts are detected', () => {
+      const calls = []
+      const Depositing = Trait(s => class Depositing extends s {
+        deposit (amount) {
+          calls.push('deposit')
+          return amount
+        }
+      })
+      const Logging = Advice({ deposit: { before () { calls.push('before') } } }, { name: 'Logging' })
+
+      class C extends superclass(null, { detectConflicts: true }).expressing(Depositing, Logging) {}
+
+      assert.equal(new C().deposit(1), 1)
+      assert.deepEqual(calls, ['before', 'deposit'])
+
+      const Other = Trait(s => class Other extends s { deposit () {} })
+      assert.throws(() => superclass(null, { detectConflicts: true }).expressing(Depositing, Logging, Other), TraitConflictError, 'deposit')
+    })
+
+    test('throws when the superclass lacks an advised member', () => {
+      const Logging = Advice({ transfer: { before () {} } })
+
+      assert.throws(() => superclass(Account).expressing(Logging), /cannot advise member transfer/)
+    })
+  })
+
+  suite('interfaces', () => {
+    const Comparable = Interface({ compareTo: { kind: 'method', arity: 1 } }, { name: 'Comparable' })
+    const Sized = Interface({ size: 'accessor', empty: 'static' }, { name: 'Sized' })
+
+    class Amount {}
+
+    test('expressing() declares interfaces without adding visible layers', () => {
+      const A = Trait(s => class extends s {})
+
+      const Declaring = superclass(Amount).expressing(A, Comparable)
+
+      assert.deepEqual(traitsOf(Declaring), traitsOf(superclass(Amount).expressing(A)))
+      assert.deepEqual(traitsOf(superclass(Amount).expressing(Comparable)), traitsOf(Amount))
+      assert.isTrue(isTraitificationOf(Declaring.prototype, Comparable))
+    })
+
+    test('expressing() gives the same class for the same traits and interfaces', () => {
+      const A = Trait(s => class extends s {})
+
+      assert.strictEqual(superclass(Amount).expressing(A, Comparable), superclass(Amount).expressing(A, Comparable))
+      assert.strictEqual(superclass(Amount).expressing(A, Comparable, Sized), superclass(Amount).expressing(A, Sized, Comparable))
+      assert.strictEqual(superclass(Amount).expressing(Comparable), Comparable(Amount))
+      assert.notStrictEqual(superclass(Amount).expressing(A, Comparable), superclass(Amount).expressing(A, Comparable, Sized))
+    })
+
+    test('expressing() declares interfaces on neither the superclass nor shared applications', () => {
+      const A = Trait(s => class extends s {})
+
+      class Money extends superclass(Amount).expressing(Comparable) {
+        compareTo (that) { return 0 }
+      }
+      class Cents extends superclass(Amount).expressing(A, Comparable) {
+        compareTo (that) { return 0 }
+      }
+
+      assert.isTrue(expresses(new Money(), Comparable))
+      assert.isTrue(expresses(new Cents(), Comparable))
+      assert.isFalse(expresses(new Amount(), Comparable))
+      assert.isFalse(expresses(new (superclass(Amount).expressing(A))(), Comparable))
+      assert.strictEqual(verify(Amount), Amount)
+      assert.doesNotThrow(() => verify(class Other extends Amount {}))
+      assert.doesNotThrow(() => verify(class Other extends superclass(Amount).expressing(A) {}))
+    })
+
+    test('verify() checks declared interfaces', () => {
+      class Money extends superclass(class {}).expressing(Comparable, Sized) {
+        compareTo (that) { return 0 }
+        get size () { return 1 }
+        static empty () {}
+      }
+      class Broken extends superclass(class {}).expressing(Comparable, Sized) {
+        compareTo () { return 0 }
+        size () { return 1 }
+      }
+
+      assert.strictEqual(verify(Money), Money)
+      assert.throws(() => verify(Broken), TraitRequirementError,
+        'class Broken does not provide members required by its traits: method compareTo with arity 1 (required by trait Comparable), ' +
+        'accessor size (required by trait Sized), static empty (required by trait Sized)')
+      try {
+        verify(Broken)
+      } catch (e) {
+        assert.deepEqual(e.missing.map(it => [it.trait, it.member, it.kind, it.arity]), [
+          [Comparable, 'compareTo', 'method', 1],
+          [Sized, 'size', 'accessor', undefined],
+          [Sized, 'empty', 'static', undefined]
+        ])
+      }
+    })
+
+    test('implement() checks classes right away', () => {
+      class Money {
+        compareTo (that) { return 0 }
+      }
+      class Broken {}
+
+      assert.strictEqual(implement(Money, Comparable), Money)
+      assert.throws(() => implement(Broken, Comparable), TraitRequirementError, /compareTo/)
+      assert.isTrue(expresses(new Money(), Comparable))
+      assert.isFalse(expresses(new Money(), Sized))
+    })
+
+    test('instanceof checks objects structurally', () => {
+      class Money {
+        compareTo (that) { return 0 }
+      }
+
+      assert.isTrue(new Money() instanceof Comparable)
+      assert.isTrue({ compareTo (that) {} } instanceof Comparable)
+      assert.isFalse({ compareTo () {} } instanceof Comparable)
+      assert.isFalse({} instanceof Comparable)
+      assert.isFalse(isInstance(null, Comparable))
+      assert.isFalse(isInstance(1, Comparable))
+      assert.isFalse(expresses(new Money(), Comparable))
+    })
+
+    test('interfaces are checked along with requirements of traits', () => {
+      const Sorting = Trait(s => class extends s {}, { requires: { methods: ['sort'] } })
+
+      class Broken extends superclass(class {}).expressing(Sorting, Comparable) {}
+
+      assert.throws(() => new Broken(), TraitRequirementError, /method compareTo with arity 1 .*method sort/)
+    })
+  })
+
+  suite('validation', () => {
+    class Base {}
+
+    test('Trait() and BareTrait() reject values that are not trait functions', () => {
+      class Nameable {}
+
+      assert.throws(() => Trait(null), TraitDefinitionError, 'a trait must be a function returning a subclass of its argument, like s => class extends s {}, but got null')
+      assert.throws(() => BareTrait({}), TraitDefinitionError, /but got an object$/)
+      assert.throws(() => Trait(Nameable), TraitDefinitionError, /but got class Nameable$/)
+      assert.throws(() => Trait(s => class extends s {}, 'Nameable'), TraitDefinitionError, /trait options must be an object, but got "Nameable"/)
+      try {
+        Trait(Nameable)
+      } catch (e) {
+        assert.strictEqual(e.value, Nameable)
+      }
+    })
+
+    test('Trait() and BareTrait() reject functions that already define a trait with different options', () => {
+      const nameable = s => class extends s {}
+      const X = Trait(nameable, { name: 'X' })
+
+      assert.throws(() => Trait(nameable, { name: 'Y' }), TraitDefinitionError,
+        'the function already defines a trait with different options; define each trait with a function of its own, but got function nameable')
+      assert.throws(() => BareTrait(nameable, {}), TraitDefinitionError)
+      assert.doesNotThrow(() => Trait(nameable, { name: 'X' }))
+      assert.doesNotThrow(() => BareTrait(nameable))
+      assert.equal(X(Base).name, 'X(Base)')
+    })
+
+    test('apply() rejects superclasses that are not classes', () => {
+      const Nameable = Trait(s => class extends s {}, { name: 'Nameable' })
+
+      assert.throws(() => apply(42, Nameable), TraitApplicationError, 'cannot apply trait Nameable to 42: the superclass is not a class')
+      assert.throws(() => apply(Base, 'Nameable'), TraitDefinitionError)
+    })
+
+    test('apply() rejects traits that do not return a subclass', () => {
+      const Broken = BareTrait(function Broken () {})
+      const Unrelated = BareTrait(function Unrelated () { return class {} })
+
+      assert.throws(() => apply(Base, Broken), TraitApplicationError, 'cannot apply trait Broken to class Base: the trait returned undefined, which is not a subclass of the superclass')
+      assert.throws(() => apply(Base, Unrelated), TraitApplicationError, /returned class <anonymous>, which is not a subclass/)
+      try {
+        apply(Base, Broken)
+      } catch (e) {
+        assert.strictEqual(e.trait, unwrap(Broken))
+        assert.strictEqual(e.superclass, Base)
+        assert.isUndefined(e.value)
+      }
+    })
+
+    test('expressing() validates traits and what they return', () => {
+      class Nameable {}
+      const Unrelated = function Unrelated () { return Object }
+
+      assert.throws(() => superclass(Base).expressing(Nameable), TraitDefinitionError, /class Nameable/)
+      assert.throws(() => superclass(Base).expressing(null), TraitDefinitionError, /but got null/)
+      assert.throws(() => superclass(Base).expressing(Unrelated), TraitApplicationError, /trait Unrelated to class Base: the trait returned function Object/)
+      assert.throws(() => superclass({}).expressing(s => class extends s {}), TraitApplicationError, /the superclass is not a class/)
+    })
+
+    test('traits may return their superclass', () => {
+      const Nameable = Trait(s => class extends s {})
+      class Person extends traits(Nameable) {}
+
+      assert.strictEqual(superclass(Person).expressing(Nameable), Person)
+      assert.strictEqual(apply(Person, Nameable), Person)
+      assert.isFalse(Person.prototype.hasOwnProperty(Symbol.for('mutrait._appliedTrait')))
+    })
+
+    test('modifications of traits throw TraitApplicationErrors', () => {
+      const Nameable = Trait(s => class extends s {
+        get name () { return 'name' }
+      }, { name: 'Nameable' })
+
+      assert.throws(() => traits(Nameable.without('age')), TraitApplicationError, /trait Nameable .*cannot exclude member age: the trait has no such member/)
+      assert.throws(() => traits(Nameable.alias({ age: 'years' })), TraitApplicationError, /cannot alias member age: the trait has no such member/)
+    })
+
+    test('Advice() and Interface() validate their definitions', () => {
+      assert.throws(() => Advice({ save: { before: 'log' } }), TraitDefinitionError, 'before advice for member save must be a function, but got "log"')
+      assert.throws(() => Advice({ save: { befor () {} } }), TraitDefinitionError,
+        'advice for member save must be one of before, around, after, afterThrowing, get, set, but got "befor"')
+      assert.throws(() => Advice({ name: { get: { set () {} } } }), TraitDefinitionError, /must be one of before, around, after, afterThrowing, but got "set"/)
+      assert.throws(() => Advice({ save () {} }), TraitDefinitionError,
+        'advice for member save must be an object with before, around, after, afterThrowing, get, set properties, but got function save')
+      assert.throws(() => Interface({ compareTo: 'function' }), TraitDefinitionError, /kind of member compareTo must be/)
+      assert.throws(() => Interface({ compareTo: { arity: -1 } }), TraitDefinitionError, /arity of member compareTo must be a non-negative integer, but got -1/)
+      assert.throws(() => Parameterized(null), TraitDefinitionError)
+    })
+  })
+
+  suite('tracing', () => {
+    const A = Trait(s => class extends s {})
+    const B = Trait(s => class extends s {})
+
+    let events
+    let previous
+    setup(() => {
+      events = []
+      previous = setTracer(event => events.push(event))
+    })
+    teardown(() => setTracer(previous))
+
+    test('reports applications, cache misses and steps', () => {
+      class Base {}
+      const C = superclass(Base).expressing(A, B)
+
+      assert.deepEqual(events.map(it => it.type), ['apply', 'cacheMiss', 'step', 'apply', 'cacheMiss', 'step'])
+      assert.strictEqual(events[0].trait, unwrap(A))
+      assert.strictEqual(events[0].superclass, Base)
+      assert.strictEqual(events[0].result, Object.getPrototypeOf(C))
+      assert.strictEqual(events[2].trait, A)
+      assert.strictEqual(events[5].result, C)
+      events.forEach(it => assert.isAtLeast(it.duration, 0))
+    })
+
+    test('reports cache hits', () => {
+      class Base {}
+      superclass(Base).expressing(A)
+      events = []
+      const C = superclass(Base).expressing(A)
+
+      assert.deepEqual(events.map(it => [it.type, unwrap(it.trait), it.superclass, it.result]), [['cacheHit', unwrap(A), Base, C], ['step', unwrap(A), Base, C]])
+    })
+
+    test('reports skipped applications', () => {
+      class Base extends traits(A) {}
+      events = []
+      superclass(Base).expressing(A)
+
+      assert.deepEqual(events.map(it => [it.type, it.result]), [['dedupeSkip', Base], ['step', Base]])
+    })
+
+    test('counts the classes created', () => {
+      class Base {}
+      superclass(Base).expressing(A, B)
+      superclass(Base).expressing(A, B)
+      superclass(Base).expressing(B)
+
+      assert.equal(events.filter(it => it.type === 'apply').length, 3)
+    })
+
+    test('setTracer() returns the previous tracer and null disables tracing', () => {
+      const tracer = setTracer(null)
+      traits(A, B)
+      assert.isFunction(tracer)
+      assert.isNull(setTracer(tracer))
+      assert.deepEqual(events, [])
+    })
+  })
+
+  suite('versioned traits', () => {
+    const Logging = (version, dedupe) => Trait(s => class extends s {
+      get loggingVersion () { return version }
+    }, { name: 'Logging', id: 'acme/logging', version, dedupe })
+
+    let events
+    let previous
+    setup(() => {
+      events = []
+      previous = setTracer(event => events.push(event))
+    })
+    teardown(() => setTracer(previous))
+
+    test('traits with the same id are applied once', () => {
+      const Old = Logging('1.2.0')
+      const New = Logging('1.10.0')
+
+      class Base extends traits(Old) {}
+      events = []
+
+      assert.strictEqual(superclass(Base).expressing(New), Base)
+      assert.equal(new Base().loggingVersion, '1.2.0')
+      assert.isTrue(new Base() instanceof New)
+      assert.isFalse(expresses(new Base(), New))
+
+      const skip = events.find(it => it.type === 'dedupeSkip')
+      assert.strictEqual(skip.expressed, unwrap(Old))
+      assert.equal(skip.reason, 'the superclass already expresses trait Logging version 1.2.0 with id acme/logging')
+    })
+
+    test('the replace policy applies newer versions on top', () => {
+      const Old = Logging('1.2.0')
+      const New = Logging('1.10.0', 'replace')
+      const Older = Logging('1.1.0', 'replace')
+
+      class Base extends traits(Old) {}
+      events = []
+      const Replaced = superclass(Base).expressing(New)
+
+      assert.notStrictEqual(Replaced, Base)
+      assert.equal(new Replaced().loggingVersion, '1.10.0')
+      assert.equal(events.find(it => it.type === 'dedupeReplace').reason,
+        'trait Logging version 1.10.0 with id acme/logging replaces the older trait Logging version 1.2.0 with id acme/logging, which the superclass already expresses')
+      assert.strictEqual(superclass(Base).expressing(Older), Base)
+    })
+
+    test('pre-release versions are older than their release', () => {
+      const Release = Logging('1.0.0', 'replace')
+      const Beta = Logging('1.0.0-beta.1', 'replace')
+      const Beta2 = Logging('1.0.0-beta.2', 'replace')
+      const Alpha = Logging('1.0.0-alpha', 'replace')
+      const Build = Logging('1.0.0+build.5', 'replace')
+
+      assert.equal(new (traits(Release, Beta))().loggingVersion, '1.0.0')
+      assert.equal(new (traits(Beta, Release))().loggingVersion, '1.0.0')
+      assert.equal(new (traits(Beta, Beta2))().loggingVersion, '1.0.0-beta.2')
+      assert.equal(new (traits(Beta, Alpha))().loggingVersion, '1.0.0-beta.1')
+      assert.equal(new (traits(Release, Build))().loggingVersion, '1.0.0')
+    })
+
+    test('the error policy throws on version mismatches', () => {
+      const Old = Logging('1.2.0')
+      const New = Logging('2.0.0', 'error')
+      const Same = Logging('1.2.0', 'error')
+
+      class Base extends traits(Old) {}
+
+      assert.throws(() => superclass(Base).expressing(New), TraitApplicationError,
+        /trait Logging version 2.0.0 with id acme\/logging clashes with trait Logging version 1.2.0 with id acme\/logging/)
+      assert.strictEqual(superclass(Base).expressing(Same), Base)
+    })
+
+    test('equivalent traits are applied once', () => {
+      const A = Trait(s => class extends s {}, { name: 'A' })
+      const B = Trait(s => class extends s {}, { name: 'B' })
+      declareEquivalent(A, B)
+
+      class Base extends traits(A) {}
+      events = []
+
+      assert.strictEqual(superclass(Base).expressing(B), Base)
+      assert.equal(events.find(it => it.type === 'dedupeSkip').reason, 'the superclass already expresses the equivalent trait A')
+    })
+
+    test('skipping the same trait is explained', () => {
+      const A = Trait(s => class extends s {})
+
+      class Base extends traits(A) {}
+      events = []
+      superclass(Base).expressing(A)
+
+      assert.equal(events.find(it => it.type === 'dedupeSkip').reason, 'the superclass already expresses the trait')
+    })
+  })
+
+  suite('multiple copies and realms', () => {
+    const { execFileSync } = require('child_process')
+    const vm = require('vm')
+
+    test('traits work across copies of mutrait, which are warned about', () => {
+      const results = JSON.parse(execFileSync(process.execPath, ['--no-warnings', '-e', `
+        const warnings = []
+        process.on('warning', it => warnings.push(it.code))
+        const first = require('.')
+        delete require.cache[require.resolve('.')]
+        const second = require('.')
+
+        const Nameable = first.Trait(s => class extends s {})
+        class Base {}
+        class Person extends second.superclass(Base).expressing(Nameable) {}
+        setImmediate(() => console.log(JSON.stringify([
+          first === second,
+          second.expresses(new Person(), Nameable),
+          new Person() instanceof Nameable,
+          second.unwrap(Nameable) === first.unwrap(Nameable),
+          second.superclass(Person).expressing(Nameable) === Person,
+          first.cachedApplication(Nameable, Base) === Object.getPrototypeOf(Person),
+          warnings
+        ])))
+      `], {
+        cwd: path.join(__dirname, '..'),
+        encoding: 'utf8'
+      }))
+
+      assert.deepEqual(results, [false, true, true, true, true, true, ['MUTRAIT_DUPLICATE_COPIES']])
+    })
+
+    test('traits are recognized in other realms', () => {
+      const Nameable = Trait(s => class extends s {})
+      const Person = vm.runInNewContext('class Person extends Nameable(class {}) {}; Person', { Nameable })
+      const Employee = vm.runInNewContext('class Employee extends Person {}; Employee', { Person })
+
+      assert.isTrue(expresses(new Employee(), Nameable))
+      assert.isTrue(new Employee() instanceof Nameable)
+      assert.strictEqual(apply(Employee, Nameable), Employee)
     })
   })
 